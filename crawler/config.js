@@ -0,0 +1,597 @@
+/**
+ * Crawler configuration — schema, config file and command-line flags.
+ *
+ * Settings are resolved in this order (later wins):
+ *   1. Defaults from SCHEMA below
+ *   2. Config file: --config <path>, else ./crawl.config.js or ./crawl.config.json
+ *   3. Environment variables (SITE_URL, MAX_PAGES, ... — what the workflow sets)
+ *   4. Command-line flags (--url, --max-pages, ...)
+ *   5. Options passed to crawl() when used as a library
+ *
+ * Every value is validated against SCHEMA. Problems are collected and thrown
+ * together as a ConfigError, each naming the flag/variable/file it came from.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { URL } = require("url");
+
+const DEFAULT_CONFIG_FILES = ["crawl.config.js", "crawl.config.json"];
+
+/**
+ * Every setting the crawler understands.
+ * Keys are the config-file names; flags are their kebab-case form (--max-pages).
+ *   type: string | url | integer | number | boolean | choice | stringList | regexList | patternList | viewport
+ *   (choice settings list their allowed values in `choices`)
+ */
+const SCHEMA = {
+  url: {
+    type: "url", env: "SITE_URL", required: true,
+    description: "URL of the site to crawl",
+  },
+  outputDir: {
+    type: "string", env: "OUTPUT_DIR", default: "./static-output",
+    description: "Directory the static site is written to (wiped first)",
+  },
+  maxPages: {
+    type: "integer", env: "MAX_PAGES", default: 100, min: 1,
+    description: "Max routes to capture",
+  },
+  introspectRouter: {
+    type: "boolean", env: "INTROSPECT_ROUTER", default: true,
+    description: "Read route keys and titles from the app's React Router instead of guessing from labels",
+  },
+  seeds: {
+    type: "stringList", env: "SEEDS", default: [],
+    description: "Extra routes to crawl: sitemap.xml, route list or manifest.json (paths or URLs)",
+  },
+  maxClickDepth: {
+    type: "integer", env: "MAX_CLICK_DEPTH", default: 0, min: 0,
+    description: "Max clicks/links away from the landing page (0 = no limit)",
+  },
+  includeRoutes: {
+    type: "patternList", env: "INCLUDE_ROUTES", default: [],
+    description: "Only crawl route keys matching these globs or /regexes/ (\"#/components/**\")",
+  },
+  excludeRoutes: {
+    type: "patternList", env: "EXCLUDE_ROUTES", default: [],
+    description: "Never crawl route keys matching these globs or /regexes/ (\"#/ai/**\")",
+  },
+  includeLabels: {
+    type: "patternList", env: "INCLUDE_LABELS", default: [], ignoreCase: true,
+    description: "Only click buttons/links whose label matches these globs or /regexes/",
+  },
+  excludeLabels: {
+    type: "patternList", env: "EXCLUDE_LABELS", default: [], ignoreCase: true,
+    description: "Never click buttons/links whose label matches these (\"*delete*\", \"/^reset$/i\")",
+  },
+  waitForNetwork: {
+    type: "boolean", env: "WAIT_FOR_NETWORK", default: false,
+    description: "Wait for networkidle on navigation (slower, captures lazy content)",
+  },
+  pageTimeout: {
+    type: "integer", env: "PAGE_TIMEOUT", default: 30000, min: 1000,
+    description: "Per-page navigation timeout in ms",
+  },
+  downloadAssets: {
+    type: "boolean", env: "DOWNLOAD_ASSETS", default: true,
+    description: "Download images/fonts/media into assets/",
+  },
+  offlineFonts: {
+    type: "boolean", env: "OFFLINE_FONTS", default: false,
+    description: "Also download assets on cdnHosts (web font stylesheets and font files) and drop CDN preconnect hints",
+  },
+  assetConcurrency: {
+    type: "integer", env: "ASSET_CONCURRENCY", default: 8, min: 1, max: 32,
+    description: "Asset downloads in flight at once, across all pages",
+  },
+  assetRetries: {
+    type: "integer", env: "ASSET_RETRIES", default: 2, min: 0, max: 10,
+    description: "Retries for an asset download that hits a network error, 429 or 5xx",
+  },
+  maxAssetSize: {
+    type: "integer", env: "MAX_ASSET_SIZE", default: 25 * 1024 * 1024, min: 0,
+    description: "Largest asset to download, in bytes; bigger ones keep their original URL (0 = no limit)",
+  },
+  settleTimeout: {
+    type: "integer", env: "SETTLE_TIMEOUT", default: 10000, min: 0,
+    description: "Max ms to wait for a page to settle after navigation or a click",
+  },
+  settleQuiet: {
+    type: "integer", env: "SETTLE_QUIET", default: 500, min: 0,
+    description: "Ms without DOM mutations before a page counts as settled",
+  },
+  duplicateThreshold: {
+    type: "number", env: "DUPLICATE_THRESHOLD", default: 0.9, min: 0, max: 1,
+    description: "Similarity (0-1) of main content text + DOM structure at which a page counts as a duplicate",
+  },
+  scrollPass: {
+    type: "boolean", env: "SCROLL_PASS", default: true,
+    description: "Scroll pages and scrollable containers before capture so lazy images, virtualised lists and reveal animations render",
+  },
+  panels: {
+    type: "choice", env: "PANELS", default: "tabs", choices: ["tabs", "expand", "off"],
+    description: "Tabs, accordions and <details>: CSS-only tab switcher (tabs), all panels stacked (expand), or as rendered (off)",
+  },
+  overlays: {
+    type: "choice", env: "OVERLAYS", default: "section", choices: ["section", "page", "off"],
+    description: "Dialogs/drawers/popovers a click opens: section of the page that opened them, own page, or ignored (off)",
+  },
+  fastReturn: {
+    type: "boolean", env: "FAST_RETURN", default: true,
+    description: "Return to the origin page with history.back() after a click, reloading only if that fails",
+  },
+  concurrency: {
+    type: "integer", env: "CONCURRENCY", default: 3, min: 1, max: 16,
+    description: "Browser pages capturing routes in parallel",
+  },
+  sharedCss: {
+    type: "boolean", env: "SHARED_CSS", default: true,
+    description: "Write CSS used by several pages once, as content-hashed files in assets/css/, instead of inlining it everywhere",
+  },
+  pruneCss: {
+    type: "boolean", env: "PRUNE_CSS", default: false,
+    description: "Drop CSS rules that match nothing in the captured pages (.btn:hover stays while .btn is there)",
+  },
+  markdown: {
+    type: "boolean", env: "MARKDOWN", default: true,
+    description: "Also write each page as Markdown with front-matter (colors.md next to colors.html)",
+  },
+  llmsTxt: {
+    type: "boolean", env: "LLMS_TXT", default: true,
+    description: "Write llms.txt (site summary and page list) and llms-full.txt (text of every page)",
+  },
+  cleanUrls: {
+    type: "boolean", env: "CLEAN_URLS", default: true,
+    description: "Also write pathname routes as about/index.html",
+  },
+  queryParams: {
+    type: "stringList", env: "QUERY_PARAMS", default: [],
+    description: "Query parameters that make a distinct page (\"*\" for all)",
+  },
+  navKeywords: {
+    type: "stringList",
+    default: [
+      "overview", "colors", "typography", "spacing", "components", "iconography", "navigation",
+      "home", "about", "docs", "guide", "api",
+    ],
+    description: "Button/link labels that identify sidebar base pages",
+  },
+  navSkipLabels: {
+    type: "regexList",
+    default: [/collapse/i, /expand/i, /search/i, /close/i, /toggle/i, /menu/i, /hamburger/i, /settings/i],
+    description: "Labels that never become a route key (collapse, search, ...)",
+  },
+  clickSkipLabels: {
+    type: "regexList",
+    default: [/collapse|search design|view ai|^copy$/i],
+    description: "Labels never clicked while discovering child routes",
+  },
+  clickableSelectors: {
+    type: "stringList",
+    default: [
+      // Specific navigation selectors
+      "nav a", "nav button",
+      "[class*='sidebar'] a", "[class*='sidebar'] button",
+      "[class*='Sidebar'] a", "[class*='Sidebar'] button",
+      "[class*='nav'] a", "[class*='nav'] button",
+      "[class*='Nav'] a", "[class*='Nav'] button",
+      "[class*='menu'] a", "[class*='menu'] button",
+      "[class*='Menu'] a", "[class*='Menu'] button",
+      "[role='navigation'] a", "[role='navigation'] button",
+      "[class*='tab'] a", "[class*='tab'] button",
+      "[class*='Tab'] a", "[class*='Tab'] button",
+      // MUI-specific selectors
+      ".MuiListItem-root", ".MuiListItemButton-root",
+      ".MuiTab-root", ".MuiButton-root",
+      "[class*='ListItem'] a", "[class*='ListItem'] button",
+      // Figma Make component cards and clickable elements
+      "[data-slot='card'][class*='cursor-pointer']",
+      "[class*='cursor-pointer'][role='button']",
+      // Component listing page: links to component detail pages (Button, Tab, Badge, etc.)
+      "a[href*='#/components/']", "a[href*='/components/']",
+      "[class*='card'] a", "[class*='Card'] a",
+      "[class*='card']", "[class*='Card']",
+      // Generic button/link selectors (for Figma sites with generic Tailwind classes)
+      "button", "a[href]",
+    ],
+    description: "Selectors for sidebar items matched when a route needs a click",
+  },
+  cdnHosts: {
+    type: "stringList",
+    default: ["googleapis.com", "gstatic.com", "fonts.net", "typekit.net"],
+    description: "Hosts whose assets stay on the CDN instead of being downloaded",
+  },
+  viewport: {
+    type: "viewport", default: { width: 1280, height: 720 },
+    description: "Browser viewport, e.g. 1280x720",
+  },
+  userAgent: {
+    type: "string", default: "Mozilla/5.0 (compatible; StaticSiteCrawler/1.0)",
+    description: "User agent sent by the browser",
+  },
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+}
+
+// ── Value coercion ─────────────────────────────────────────────────────────
+
+/**
+ * Compile a glob into an anchored RegExp. `*` stays within one path segment,
+ * `**` crosses segments, `?` is one character and `{a,b}` is either one. A
+ * trailing slash-double-star also matches the parent itself, so
+ * "#/components/**" covers "#/components".
+ */
+function globToRegExp(glob, flags = "") {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "{" && glob.indexOf("}", i) !== -1) {
+      braces++;
+      source += "(?:";
+    } else if (c === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (c === "," && braces > 0) {
+      source += "|";
+    } else if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (i === glob.length - 1 && source.endsWith("/")) {
+        source = source.slice(0, -1) + "(?:/.*)?";
+      } else {
+        source += ".*";
+      }
+    } else if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Split a comma-separated list of patterns from an env var or flag. Commas
+ * inside a /regex/ or a glob's {a,b} belong to the pattern, so
+ * "/^a{1,3}$/,#/{components,patterns}/**" is two patterns.
+ */
+function splitPatterns(text) {
+  const items = [];
+  let i = 0;
+  while (i <= text.length) {
+    const literal = /^\s*\/(?:\\.|[^\\])*?\/[dgimsuvy]*\s*(?=,|$)/.exec(text.slice(i));
+    let end = i;
+    if (literal) {
+      end += literal[0].length;
+    } else {
+      let depth = 0;
+      for (; end < text.length; end++) {
+        const c = text[end];
+        if (c === "\\") end++;
+        else if (c === "{") depth++;
+        else if (c === "}" && depth > 0) depth--;
+        else if (c === "," && depth === 0) break;
+      }
+    }
+    items.push(text.slice(i, end));
+    i = end + 1;
+  }
+  return items;
+}
+
+// .test() on a global or sticky regex starts where the last match ended
+function statefulFlagsError(regex, text) {
+  return regex.global || regex.sticky
+    ? `${JSON.stringify(text)}: the g and y flags are not supported in patterns`
+    : null;
+}
+
+/**
+ * Turn a "/source/flags" or plain "source" string into a RegExp.
+ * Plain strings are case-insensitive, like the built-in skip patterns.
+ */
+function toRegExp(value) {
+  if (value instanceof RegExp) return value;
+  const literal = /^\/(.*)\/([a-z]*)$/.exec(value);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value, "i");
+}
+
+/**
+ * Coerce one raw value (typed from a config file, or a string from env/CLI)
+ * to the setting's type. Returns { value } or { error }.
+ */
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case "string":
+      if (typeof raw !== "string" || !raw.trim()) return { error: "must be a non-empty string" };
+      return { value: raw };
+
+    case "url": {
+      if (typeof raw !== "string") return { error: "must be a URL string" };
+      let url;
+      try {
+        url = new URL(raw);
+      } catch {
+        return { error: `"${raw}" is not a valid URL` };
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return { error: `"${raw}" must be an http(s) URL` };
+      }
+      return { value: raw };
+    }
+
+    case "integer": {
+      let n = raw;
+      if (typeof raw === "string") {
+        if (!/^\s*-?\d+\s*$/.test(raw)) return { error: `"${raw}" is not a whole number` };
+        n = parseInt(raw, 10);
+      }
+      if (!Number.isInteger(n)) return { error: `${JSON.stringify(raw)} is not a whole number` };
+      if (spec.min != null && n < spec.min) return { error: `must be at least ${spec.min} (got ${n})` };
+      if (spec.max != null && n > spec.max) return { error: `must be at most ${spec.max} (got ${n})` };
+      return { value: n };
+    }
+
+    case "number": {
+      let n = raw;
+      if (typeof raw === "string") {
+        if (!/^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(raw)) return { error: `"${raw}" is not a number` };
+        n = parseFloat(raw);
+      }
+      if (typeof n !== "number" || !Number.isFinite(n)) return { error: `${JSON.stringify(raw)} is not a number` };
+      if (spec.min != null && n < spec.min) return { error: `must be at least ${spec.min} (got ${n})` };
+      if (spec.max != null && n > spec.max) return { error: `must be at most ${spec.max} (got ${n})` };
+      return { value: n };
+    }
+
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (["true", "1", "yes", "on"].includes(s)) return { value: true };
+      if (["false", "0", "no", "off"].includes(s)) return { value: false };
+      return { error: `"${raw}" is not a boolean (use true or false)` };
+    }
+
+    case "choice": {
+      const choice = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+      if (!spec.choices.includes(choice)) {
+        return { error: `${JSON.stringify(raw)} must be one of ${spec.choices.join(", ")}` };
+      }
+      return { value: choice };
+    }
+
+    case "stringList": {
+      const list = typeof raw === "string" ? raw.split(",") : raw;
+      if (!Array.isArray(list) || list.some(v => typeof v !== "string")) {
+        return { error: "must be a list of strings (or a comma-separated string)" };
+      }
+      return { value: list.map(v => v.trim()).filter(Boolean) };
+    }
+
+    case "regexList": {
+      const list = typeof raw === "string" ? splitPatterns(raw) : raw;
+      if (!Array.isArray(list) || list.some(v => typeof v !== "string" && !(v instanceof RegExp))) {
+        return { error: "must be a list of regular expressions or strings" };
+      }
+      const value = [];
+      for (const item of list) {
+        if (typeof item === "string" && !item.trim()) continue;
+        let regex;
+        try {
+          regex = toRegExp(typeof item === "string" ? item.trim() : item);
+        } catch (err) {
+          return { error: `invalid regular expression ${JSON.stringify(String(item))}: ${err.message}` };
+        }
+        const flagsError = statefulFlagsError(regex, String(item).trim());
+        if (flagsError) return { error: flagsError };
+        value.push(regex);
+      }
+      return { value };
+    }
+
+    case "patternList": {
+      // Globs, or regexes written /like this/; kept with their original text for reporting
+      const list = typeof raw === "string" ? splitPatterns(raw) : raw;
+      if (!Array.isArray(list) || list.some(v => typeof v !== "string" && !(v instanceof RegExp))) {
+        return { error: "must be a list of globs or regular expressions" };
+      }
+      const value = [];
+      for (const item of list) {
+        const pattern = typeof item === "string" ? item.trim() : String(item);
+        if (!pattern) continue;
+        let regex;
+        try {
+          regex = item instanceof RegExp ? item
+            : /^\/.*\/[a-z]*$/.test(pattern) ? toRegExp(pattern)
+            : globToRegExp(pattern, spec.ignoreCase ? "i" : "");
+        } catch (err) {
+          return { error: `invalid pattern ${JSON.stringify(pattern)}: ${err.message}` };
+        }
+        const flagsError = statefulFlagsError(regex, pattern);
+        if (flagsError) return { error: flagsError };
+        value.push({ pattern, regex });
+      }
+      return { value };
+    }
+
+    case "viewport": {
+      let size = raw;
+      if (typeof raw === "string") {
+        const m = /^\s*(\d+)\s*x\s*(\d+)\s*$/i.exec(raw);
+        if (!m) return { error: `"${raw}" is not a viewport size like 1280x720` };
+        size = { width: parseInt(m[1], 10), height: parseInt(m[2], 10) };
+      }
+      if (!size || !Number.isInteger(size.width) || !Number.isInteger(size.height) ||
+          size.width < 1 || size.height < 1) {
+        return { error: "must be { width, height } in whole pixels, or a string like 1280x720" };
+      }
+      return { value: { width: size.width, height: size.height } };
+    }
+
+    default:
+      return { error: `unknown setting type "${spec.type}"` };
+  }
+}
+
+// ── Sources ────────────────────────────────────────────────────────────────
+
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  if (resolved.endsWith(".json")) {
+    const text = fs.readFileSync(resolved, "utf-8");
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new ConfigError([`${file}: ${err.message}`]);
+    }
+  }
+  return require(resolved);
+}
+
+function findConfigFile(cwd) {
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Parse command-line flags. Boolean settings accept --flag and --no-flag;
+ * everything else takes a value (--max-pages 50 or --max-pages=50).
+ */
+function parseFlags(argv) {
+  const options = {
+    config: { type: "string", short: "c" },
+    help: { type: "boolean", short: "h" },
+  };
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.type === "boolean") {
+      options[toFlag(key)] = { type: "boolean" };
+      options["no-" + toFlag(key)] = { type: "boolean" };
+    } else {
+      options[toFlag(key)] = { type: "string" };
+    }
+  }
+
+  try {
+    return parseArgs({ args: argv, options, allowPositionals: false, strict: true }).values;
+  } catch (err) {
+    throw new ConfigError([`${err.message} (see --help)`]);
+  }
+}
+
+// ── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the full crawler configuration.
+ * Throws ConfigError if anything is invalid or a required setting is missing.
+ * Returns { help: true } without validating when --help was passed.
+ *
+ * options: typed settings from the programmatic API (highest priority);
+ *   options.config names a config file to load underneath them.
+ * autoConfigFile: look for ./crawl.config.{js,json} when no file is named.
+ */
+function loadConfig({ argv = [], env = {}, options = {}, cwd = process.cwd(), autoConfigFile = true } = {}) {
+  const flags = parseFlags(argv);
+  if (flags.help) return { help: true };
+
+  const { config: optionsConfigFile, ...optionValues } = options;
+  const configFile = flags.config || optionsConfigFile || (autoConfigFile ? findConfigFile(cwd) : null);
+  let fileValues = {};
+  if (configFile) {
+    if (!fs.existsSync(path.resolve(cwd, configFile))) {
+      throw new ConfigError([`config file not found: ${configFile}`]);
+    }
+    fileValues = readConfigFile(path.resolve(cwd, configFile)) || {};
+    if (typeof fileValues !== "object" || Array.isArray(fileValues)) {
+      throw new ConfigError([`${configFile}: must export an object of settings`]);
+    }
+  }
+
+  const problems = [];
+  for (const key of Object.keys(fileValues)) {
+    if (!SCHEMA[key]) problems.push(`${configFile}: unknown setting "${key}"`);
+  }
+  for (const key of Object.keys(optionValues)) {
+    if (!SCHEMA[key]) problems.push(`options: unknown setting "${key}"`);
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const flag = toFlag(key);
+    // Highest-priority source wins: API option → CLI flag → env var → config file → default
+    let raw;
+    let source;
+    if (optionValues[key] !== undefined) {
+      raw = optionValues[key];
+      source = `options.${key}`;
+    } else if (flags[flag] !== undefined) {
+      raw = flags[flag];
+      source = `--${flag}`;
+    } else if (flags["no-" + flag]) {
+      raw = false;
+      source = `--no-${flag}`;
+    } else if (spec.env && env[spec.env] !== undefined && env[spec.env] !== "") {
+      raw = env[spec.env];
+      source = spec.env;
+    } else if (fileValues[key] !== undefined) {
+      raw = fileValues[key];
+      source = `${configFile}: ${key}`;
+    }
+
+    if (raw === undefined) {
+      if (spec.required) {
+        problems.push(`${key} is required (--${flag}${spec.env ? ` or ${spec.env}` : ""})`);
+      }
+      config[key] = spec.default;
+      continue;
+    }
+
+    const { value, error } = coerce(spec, raw);
+    if (error) problems.push(`${source}: ${error}`);
+    else config[key] = value;
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  config.configFile = configFile || null;
+  return config;
+}
+
+/** Usage text for --help, generated from SCHEMA. */
+function formatHelp() {
+  const lines = [
+    "Usage: crawl --url <site> [options]",
+    "       crawl replay <route> --url <site> [options]   Recapture one route of the last run",
+    "",
+    "Options (override the config file, which overrides built-in defaults):",
+    "  -c, --config <file>        Config file (default: ./crawl.config.js or ./crawl.config.json)",
+    "  -h, --help                 Show this help",
+  ];
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const flag = spec.type === "boolean" ? `--[no-]${toFlag(key)}`
+      : spec.type === "choice" ? `--${toFlag(key)} <${spec.choices.join("|")}>`
+      : `--${toFlag(key)} <${spec.type}>`;
+    const env = spec.env ? ` [${spec.env}]` : "";
+    lines.push(`  ${flag.padEnd(26)} ${spec.description}${env}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { SCHEMA, ConfigError, loadConfig, formatHelp };
+// Internals the unit tests in test/ reach into; not part of the API
+module.exports.internals = { coerce, globToRegExp, splitPatterns };
@@ -20,22 +20,97 @@ const fs = require("fs-extra");
 const path = require("path");
 const { URL } = require("url");
 const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { loadConfig, formatHelp, ConfigError } = require("./config");
+const { loadSeeds, isRemote } = require("./seeds");
+const { rewriteHtmlUrls, rewriteCssUrls } = require("./markup");
 
-// ── Config ─────────────────────────────────────────────────────────────────
-const BASE_URL = process.env.SITE_URL || "https://example.com";
-const OUTPUT_DIR = process.env.OUTPUT_DIR || "./static-output";
-const MAX_PAGES = parseInt(process.env.MAX_PAGES || "100", 10);
-const WAIT_FOR_NETWORK = process.env.WAIT_FOR_NETWORK === "true";
-const TIMEOUT = parseInt(process.env.PAGE_TIMEOUT || "30000", 10);
-const DOWNLOAD_ASSETS = process.env.DOWNLOAD_ASSETS !== "false";
-const RENDER_DELAY = parseInt(process.env.RENDER_DELAY || "3000", 10);
-
-// ── State ──────────────────────────────────────────────────────────────────
-const capturedRoutes = new Map(); // route key → { url, html, css, title, assets }
-const downloadedAssets = new Map(); // original URL → local path
-const discoveredRoutes = new Set(); // all route keys we've seen
-const navMap = new Map(); // route key → { label, icon } for building navigation
-let siteExternalLinks = []; // external <link> tags from <head> (shared by all pages)
+// ── Crawler ────────────────────────────────────────────────────────────────
+
+/**
+ * One crawl of one site. Holds the resolved config and every piece of
+ * state the crawl accumulates, so several crawls can run in the same
+ * process without sharing anything.
+ *
+ * Events:
+ *   "log"      (message)  progress line
+ *   "warning"  (message)  recoverable problem, also collected in `warnings`
+ *   "route"    (summary)  a route was captured: { key, url, title, depth, parent }
+ *   "page"     (summary)  a file was written: { route, file, cleanFile }
+ *   "skip"     (entry)    a route or label was left out: { kind, candidate, reason }
+ */
+class Crawler extends EventEmitter {
+  /**
+   * @param {object} config  resolved settings, as returned by loadConfig()
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+
+    this.capturedRoutes = new Map();   // key → { key, url, title, html, css, ... }
+    this.downloadedAssets = new Map(); // original URL → local path
+    this.pendingDownloads = new Map(); // original URL → in-flight download promise
+    this.assetReport = new Map();      // original URL → assets.json entry (see recordAsset)
+    this.assetHashes = new Map();      // content hash → local path, to save identical bytes once
+    this.assetSlots = { active: 0, queue: [] }; // see withAssetSlot
+    this.stylesheetWaits = new Map();  // stylesheet URL → URLs its localization is waiting on
+    this.claimedRoutes = new Set();    // keys a worker is currently capturing
+    this.inflightRequests = new WeakMap(); // page → Set of in-flight fetch/XHR requests
+    this.lastSettleMs = new WeakMap();     // page → ms its last waitForSettled took
+    this.discoveredRoutes = new Set();
+    // Internal hrefs that matched no captured page: href → Set of route keys linking to it
+    this.unresolvedLinks = new Map();
+    // Track nav hierarchy: routeKey → { label, exact } (exact: from the router or supplied seeds)
+    this.navMap = new Map();
+    // External links (fonts, etc.) extracted from the landing page
+    this.siteExternalLinks = [];
+    this.warnings = [];
+    // How discoverAndCapture got back to the origin page after each click
+    this.returnStats = { history: 0, historyMs: 0, closed: 0, closedMs: 0, reloads: 0, reloadMs: 0, failedMs: 0 };
+    // Candidates left out by the crawl rules: "kind\0candidate" → { kind, candidate, reason }
+    this.skipped = new Map();
+  }
+
+  log(message) {
+    this.emit("log", message);
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+    this.emit("warning", message);
+  }
+
+  /** Report a route or label the crawl rules left out (once per candidate). */
+  skip(kind, candidate, reason) {
+    const id = `${kind}\0${candidate}`;
+    if (this.skipped.has(id)) return;
+    const entry = { kind, candidate, reason };
+    this.skipped.set(id, entry);
+    this.emit("skip", entry);
+    this.log(`    🚫 Skipped ${kind} "${candidate}" — ${reason}`);
+  }
+
+  recordRoute(route) {
+    this.capturedRoutes.set(route.key, route);
+    this.discoveredRoutes.add(route.key);
+    this.emit("route", {
+      key: route.key,
+      url: route.url,
+      title: route.title,
+      depth: route.depth,
+      parent: route.parent,
+    });
+  }
+
+  run() {
+    return runCrawl(this);
+  }
+
+  /** Recapture one route of the last run from its manifest entry (see replayRoute). */
+  replay(route) {
+    return replayRoute(this, route);
+  }
+}
 
 // ── Resilient Navigation ──────────────────────────────────────────────────
 
@@ -43,66 +118,345 @@ let siteExternalLinks = []; // external <link> tags from <head> (shared by all p
  * Navigate to a URL with automatic retry on timeout.
  * First attempt uses the configured wait strategy; on timeout, falls back
  * to "domcontentloaded" which is far more reliable for SPAs like Figma sites.
+ * Waits for the page to settle and returns the navigation response.
  */
-async function safeGoto(page, url, opts = {}) {
-  const waitUntil = opts.waitUntil || (WAIT_FOR_NETWORK ? "networkidle" : "domcontentloaded");
-  const timeout = opts.timeout || TIMEOUT;
+async function safeGoto(crawler, page, url, opts = {}) {
+  const waitUntil = opts.waitUntil || (crawler.config.waitForNetwork ? "networkidle" : "domcontentloaded");
+  const timeout = opts.timeout || crawler.config.pageTimeout;
+  let response;
   try {
-    await page.goto(url, { waitUntil, timeout });
+    response = await page.goto(url, { waitUntil, timeout });
   } catch (err) {
     if (err.name === "TimeoutError" && waitUntil === "networkidle") {
-      console.log(`    ⚠️  networkidle timeout on ${url}, retrying with domcontentloaded...`);
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+      crawler.log(`    ⚠️  networkidle timeout on ${url}, retrying with domcontentloaded...`);
+      response = await page.goto(url, { waitUntil: "domcontentloaded", timeout });
     } else {
       throw err;
     }
   }
+  await waitForSettled(crawler, page);
+  return response;
+}
+
+/**
+ * Navigate client-side to a pathname route, the way a router <Link> would:
+ * push the URL onto history and fire popstate so BrowserRouter re-renders.
+ * Used when the server can't serve a deep link itself (404 on static hosts).
+ */
+async function pushRoute(crawler, page, url) {
+  await page.evaluate((target) => {
+    history.pushState({}, "", target);
+    window.dispatchEvent(new PopStateEvent("popstate", { state: {} }));
+  }, url);
+  await waitForSettled(crawler, page);
+}
+
+// ── History API Hook ──────────────────────────────────────────────────────
+
+/**
+ * Installed into every page before its scripts run (context.addInitScript).
+ * Wraps history.pushState/replaceState and listens for popstate/hashchange,
+ * appending each transition to window.__crawlerRouteLog as { type, url }.
+ * This catches routers that update the URL after a transition or rewrite
+ * it with replaceState, which a before/after page.url() check misses.
+ */
+function installHistoryHook() {
+  const log = [];
+  window.__crawlerRouteLog = log;
+  const record = (type) => log.push({ type, url: location.href });
+
+  for (const method of ["pushState", "replaceState"]) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      record(method);
+      return result;
+    };
+  }
+  window.addEventListener("popstate", () => record("popstate"));
+  window.addEventListener("hashchange", () => record("hashchange"));
+}
+
+/** Current length of the page's route log — a mark to diff against later. */
+async function routeLogMark(page) {
+  return await page.evaluate(() => (window.__crawlerRouteLog || []).length).catch(() => 0);
+}
+
+/**
+ * Route transitions recorded since `mark`. Empty if there were none, or if
+ * the page hard-navigated (which resets the log).
+ */
+async function routeTransitionsSince(page, mark) {
+  return await page.evaluate(m => (window.__crawlerRouteLog || []).slice(m), mark).catch(() => []);
+}
+
+// ── Click Locators ────────────────────────────────────────────────────────
+
+/**
+ * Installed into every page next to the history hook. Exposes
+ * window.__crawlerLocator so page.evaluate callbacks can describe a clicked
+ * element as a replayable step, and find it again later:
+ *   { text, role, name, testId, css }
+ * Lookup tries the test id, then role + accessible name, then the CSS path
+ * (only if the element there still has the same text), then the text itself.
+ */
+function installClickLocator(clickableQuery) {
+  const norm = (s) => (s || "").trim().replace(/\s+/g, " ");
+  const TEST_ID_ATTRS = ["data-testid", "data-test-id", "data-test", "data-cy"];
+  const IMPLICIT_ROLES = { A: "link", BUTTON: "button", SUMMARY: "button", SELECT: "combobox", TEXTAREA: "textbox" };
+
+  const roleOf = (el) => {
+    const explicit = el.getAttribute("role");
+    if (explicit) return explicit.split(/\s+/)[0];
+    if (el.tagName === "A") return el.hasAttribute("href") ? "link" : null;
+    if (el.tagName === "INPUT") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      return ["button", "submit", "reset", "image"].includes(type) ? "button" : type === "checkbox" ? "checkbox" : "textbox";
+    }
+    return IMPLICIT_ROLES[el.tagName] || null;
+  };
+  const nameOf = (el) => {
+    const label = el.getAttribute("aria-label");
+    if (label && label.trim()) return norm(label);
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => norm(document.getElementById(id)?.textContent)).join(" ").trim();
+      if (text) return text;
+    }
+    return norm(el.textContent) || norm(el.getAttribute("title")) || norm(el.value);
+  };
+  const testIdOf = (el) => {
+    for (const attr of TEST_ID_ATTRS) {
+      const value = el.getAttribute(attr);
+      if (value) return { attr, value };
+    }
+    return null;
+  };
+  const cssPath = (el) => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.body; node = node.parentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return parts.join(" > ");
+      }
+      const tag = node.tagName.toLowerCase();
+      const sameTag = Array.from(node.parentElement ? node.parentElement.children : []).filter(c => c.tagName === node.tagName);
+      parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+    }
+    return ["body", ...parts].join(" > ");
+  };
+
+  const describe = (el) => {
+    const testId = testIdOf(el);
+    return {
+      text: norm(el.textContent),
+      role: roleOf(el),
+      name: nameOf(el),
+      testId: testId ? `[${testId.attr}="${CSS.escape(testId.value)}"]` : null,
+      css: cssPath(el),
+    };
+  };
+
+  // Several elements qualify: prefer the one at the recorded CSS path, then same text
+  const atPath = (el, css) => {
+    try { return !!css && el.matches(css); } catch { return false; }
+  };
+  const pick = (matches, step) =>
+    matches.find(el => atPath(el, step.css)) ||
+    matches.find(el => norm(el.textContent) === step.text) ||
+    matches[0];
+
+  const find = (step) => {
+    if (step.testId) {
+      const matches = Array.from(document.querySelectorAll(step.testId));
+      if (matches.length > 0) return { el: pick(matches, step), via: "test id" };
+    }
+    if (step.role && step.name) {
+      const candidates = document.querySelectorAll(`[role], ${clickableQuery}, summary, input`);
+      const matches = Array.from(candidates).filter(el => roleOf(el) === step.role && nameOf(el) === step.name);
+      if (matches.length > 0) return { el: pick(matches, step), via: "role + name" };
+    }
+    if (step.css) {
+      let el = null;
+      try { el = document.querySelector(step.css); } catch {}
+      if (el && (!step.text || norm(el.textContent) === step.text)) return { el, via: "css path" };
+    }
+    if (step.text) {
+      // Standard clickable elements first, then card-like divs (with an h3 inside)
+      for (const el of document.querySelectorAll(clickableQuery)) {
+        if (norm(el.textContent) === step.text) return { el, via: "text" };
+      }
+      for (const el of document.querySelectorAll("div")) {
+        if (el.querySelector("h3") && norm(el.textContent) === step.text) return { el, via: "text" };
+      }
+    }
+    return null;
+  };
+
+  window.__crawlerLocator = { describe, find };
+}
+
+// ── Render Stability ──────────────────────────────────────────────────────
+
+/**
+ * Count a page's in-flight fetch/XHR requests so waitForSettled() can tell
+ * when the SPA has finished loading data. Call once per page, before use.
+ */
+function trackInflightRequests(crawler, page) {
+  const inflight = new Set();
+  crawler.inflightRequests.set(page, inflight);
+  page.on("request", req => {
+    const type = req.resourceType();
+    if (type === "fetch" || type === "xhr") inflight.add(req);
+  });
+  page.on("requestfinished", req => inflight.delete(req));
+  page.on("requestfailed", req => inflight.delete(req));
+}
+
+/**
+ * Wait until the page has "settled" instead of sleeping a fixed delay:
+ *   1. DOM mutations go quiet for `settleQuiet` ms
+ *   2. Web fonts are loaded (document.fonts.ready)
+ *   3. In-flight fetch/XHR requests have finished
+ *   4. Images in the DOM have loaded and decoded
+ *   5. DOM is quiet again (responses above usually trigger a re-render)
+ *
+ * Never waits longer than `settleTimeout` in total. Returns the time taken
+ * in ms, which is also remembered for the next snapshotPage() on this page.
+ */
+async function waitForSettled(crawler, page, timeout = crawler.config.settleTimeout) {
+  const start = Date.now();
+  const remaining = () => Math.max(0, start + timeout - Date.now());
+
+  const waitForQuietDom = () => page.evaluate(({ quietMs, maxMs }) => new Promise(resolve => {
+    let quietTimer = null;
+    const finish = () => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(hardTimer);
+      resolve();
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, quietMs);
+    });
+    const hardTimer = setTimeout(finish, maxMs);
+    observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    quietTimer = setTimeout(finish, quietMs);
+  }), { quietMs: crawler.config.settleQuiet, maxMs: remaining() });
+
+  try {
+    await waitForQuietDom();
+
+    await page.evaluate((maxMs) => Promise.race([
+      new Promise(resolve => setTimeout(resolve, maxMs)),
+      (async () => {
+        if (document.fonts) await document.fonts.ready;
+        // Skip lazy images that haven't started loading — they'd hold us until the timeout
+        const images = Array.from(document.images)
+          .filter(img => img.getAttribute("src") && !(img.loading === "lazy" && !img.complete));
+        await Promise.all(images.map(img => img.decode().catch(() => {})));
+      })(),
+    ]), remaining());
+
+    const inflight = crawler.inflightRequests.get(page);
+    while (inflight && inflight.size > 0 && remaining() > 0) {
+      await page.waitForTimeout(Math.min(100, remaining()));
+    }
+
+    if (remaining() > 0) await waitForQuietDom();
+  } catch {
+    // The page navigated or closed mid-wait — whatever is there now is final
+  }
+
+  const elapsed = Date.now() - start;
+  crawler.lastSettleMs.set(page, elapsed);
+  return elapsed;
 }
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
 /**
  * Normalize a route key — collapses #/ and / to the same key.
+ * Query parameters listed in the `queryParams` setting are kept (sorted), all others dropped.
  * Examples:
- *   https://site.com/#/colors     → "#/colors"
- *   https://site.com/about        → "/about"
- *   https://site.com/#/           → "/"        ← normalized!
- *   https://site.com/             → "/"
+ *   https://site.com/#/colors                   → "#/colors"
+ *   https://site.com/about                      → "/about"
+ *   https://site.com/#/                         → "/"        ← normalized!
+ *   https://site.com/                           → "/"
+ *   https://site.com/components?tab=usage       → "/components?tab=usage"   (queryParams: tab)
+ *   https://site.com/#/button?variant=primary   → "#/button?variant=primary" (queryParams: variant)
  */
-function routeKey(urlStr) {
+function routeKey(crawler, urlStr) {
   try {
     const url = new URL(urlStr);
     if (url.hash && url.hash.length > 1) {
-      // Normalize #/ to / (they're the same landing page)
-      const hashPath = url.hash.replace(/^#\/?/, "").replace(/\/+$/, "");
-      if (!hashPath) return "/";
-      return "#/" + hashPath;
+      // Hash routes carry their own query: #/button?variant=primary
+      const queryStart = url.hash.indexOf("?");
+      const hashRoute = queryStart === -1 ? url.hash : url.hash.slice(0, queryStart);
+      const hashQuery = queryStart === -1 ? "" : url.hash.slice(queryStart + 1);
+      const query = routeQuery(crawler, new URLSearchParams(hashQuery));
+      // Normalize a bare #/ to / (they're the same landing page). With a query
+      // it stays #/?…, which is not the same route as the pathname /?…
+      const hashPath = hashRoute.replace(/^#\/?/, "").replace(/\/+$/, "");
+      if (!hashPath) return query ? "#/" + query : "/";
+      return "#/" + hashPath + query;
     }
     // Normal pathname routing
-    return url.pathname.replace(/\/+$/, "") || "/";
+    return (url.pathname.replace(/\/+$/, "") || "/") + routeQuery(crawler, url.searchParams);
   } catch {
     return null;
   }
 }
 
+/**
+ * Keep the allow-listed (`queryParams`) parameters of a query, sorted by name
+ * then value so ?b=2&a=1 and ?a=1&b=2 are the same route.
+ * Returns "" when nothing is kept, else "?a=1&b=2".
+ */
+function routeQuery(crawler, searchParams) {
+  const keepAll = crawler.config.queryParams.includes("*");
+  const kept = [...searchParams].filter(([name]) => keepAll || crawler.config.queryParams.includes(name));
+  if (kept.length === 0) return "";
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  kept.sort(([a, av], [b, bv]) => compare(a, b) || compare(av, bv));
+  return "?" + new URLSearchParams(kept).toString();
+}
+
 /**
  * Convert a route key to a safe filename
- * "#/colors"     → "colors.html"
- * "#/ai"         → "ai.html"
- * "/"            → "index.html"
- * "/about"       → "about.html"
- * "/docs/intro"  → "docs/intro.html"
+ * "#/colors"                  → "colors.html"
+ * "#/ai"                      → "ai.html"
+ * "/"                         → "index.html"
+ * "/about"                    → "about.html"
+ * "/docs/intro"               → "docs/intro.html"
+ * "/components?tab=usage"     → "components--tab-usage-<hash>.html"
+ * "#/?tab=usage"              → "index--tab-usage-<hash>.html"
+ *
+ * Query keys get a readable slug plus a short hash of the whole key, so two
+ * parameter combinations that slug the same, and a hash route and pathname
+ * with the same query (#/x?tab=a, /x?tab=a), still get different files.
+ * Without a query #/about and /about are both about.html; writeSite warns
+ * if a crawl captures both.
  */
 function routeToFilename(key) {
-  let cleaned = key
+  const queryStart = key.indexOf("?");
+  const query = queryStart === -1 ? "" : key.slice(queryStart + 1);
+  let cleaned = (queryStart === -1 ? key : key.slice(0, queryStart))
     .replace(/^#\/?/, "") // remove leading #/
     .replace(/^\//, "")   // remove leading /
     .replace(/\/+$/, ""); // remove trailing /
 
-  if (!cleaned) return "index.html";
+  if (!cleaned && !query) return "index.html";
 
-  // Replace special chars
-  cleaned = cleaned.replace(/[?&=]/g, "_");
+  if (query) {
+    const querySlug = query
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 40);
+    cleaned = `${cleaned || "index"}--${querySlug}-${hashUrl(key).slice(0, 6)}`;
+  }
 
   if (!cleaned.endsWith(".html")) {
     cleaned += ".html";
@@ -110,76 +464,454 @@ function routeToFilename(key) {
   return cleaned;
 }
 
+/**
+ * Reserve a route key for capture by the current worker.
+ * Returns false if the route is already captured, is being captured by
+ * another worker, or `maxPages` would be exceeded. Pair with releaseRoute().
+ */
+function claimRoute(crawler, key) {
+  if (crawler.capturedRoutes.has(key) || crawler.claimedRoutes.has(key)) return false;
+  if (crawler.capturedRoutes.size + crawler.claimedRoutes.size >= crawler.config.maxPages) return false;
+  crawler.claimedRoutes.add(key);
+  return true;
+}
+
+function releaseRoute(crawler, key) {
+  crawler.claimedRoutes.delete(key);
+}
+
+/**
+ * Clean-URL location for pathname routes, so a deep link to /about keeps
+ * working on GitHub Pages:
+ * "/about"       → "about/index.html"
+ * "/docs/intro"  → "docs/intro/index.html"
+ * Hash routes, query routes and "/" have no clean-URL form (returns null).
+ */
+function routeToCleanFilename(key) {
+  if (!key || key.startsWith("#") || key === "/" || key.includes("?")) return null;
+  return routeToFilename(key).replace(/\.html$/, "/index.html");
+}
+
 function hashUrl(url) {
   return crypto.createHash("md5").update(url).digest("hex").slice(0, 12);
 }
 
-function isInternalUrl(href) {
+function isInternalUrl(crawler, href) {
   try {
-    const url = new URL(href, BASE_URL);
-    const base = new URL(BASE_URL);
+    const url = new URL(href, crawler.config.url);
+    const base = new URL(crawler.config.url);
     return url.hostname === base.hostname;
   } catch {
     return false;
   }
 }
 
+// ── Crawl Rules ────────────────────────────────────────────────────────────
+
+// includeRoutes/excludeRoutes/includeLabels/excludeLabels are lists of
+// { pattern, regex } (see the patternList type in config.js).
+function findPattern(patterns, values) {
+  return patterns.find(({ regex }) => values.some(v => v && regex.test(v)));
+}
+
+/**
+ * Why a route may not be crawled, or null if it may.
+ * The landing page is never checked — everything else is reached through it.
+ */
+function routeSkipReason(crawler, key, depth) {
+  const { includeRoutes, excludeRoutes, maxClickDepth } = crawler.config;
+  const excluded = findPattern(excludeRoutes, [key]);
+  if (excluded) return `matches excludeRoutes ${excluded.pattern}`;
+  if (includeRoutes.length > 0 && !findPattern(includeRoutes, [key])) {
+    return "matches none of includeRoutes";
+  }
+  if (maxClickDepth > 0 && depth > maxClickDepth) {
+    return `depth ${depth} is past maxClickDepth ${maxClickDepth}`;
+  }
+  return null;
+}
+
+/**
+ * Why a button/link may not be clicked, or null if it may. Checked against
+ * the full text and its shorter forms (heading text, icon prefix stripped).
+ */
+function labelSkipReason(crawler, text, shortLabel = null) {
+  const { clickSkipLabels, includeLabels, excludeLabels } = crawler.config;
+  const values = [text, shortLabel, cleanLabelForBreadcrumb(shortLabel || text)];
+  const builtIn = clickSkipLabels.find(re => values.some(v => v && re.test(v)));
+  if (builtIn) return `matches clickSkipLabels ${builtIn}`;
+  const excluded = findPattern(excludeLabels, values);
+  if (excluded) return `matches excludeLabels ${excluded.pattern}`;
+  if (includeLabels.length > 0 && !findPattern(includeLabels, values)) {
+    return "matches none of includeLabels";
+  }
+  return null;
+}
+
 // ── Asset Downloading ──────────────────────────────────────────────────────
 
-async function downloadAsset(assetUrl, requestContext) {
-  if (downloadedAssets.has(assetUrl)) return downloadedAssets.get(assetUrl);
+const BROWSER_USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36";
+
+// Extension for each Content-Type we expect to see; anything else falls back
+// to the extension in the URL, then .bin
+const MIME_EXTENSIONS = {
+  "image/png": ".png", "image/jpeg": ".jpg", "image/jpg": ".jpg", "image/gif": ".gif",
+  "image/webp": ".webp", "image/avif": ".avif", "image/svg+xml": ".svg", "image/bmp": ".bmp",
+  "image/x-icon": ".ico", "image/vnd.microsoft.icon": ".ico", "image/apng": ".apng",
+  "font/woff": ".woff", "font/woff2": ".woff2", "font/ttf": ".ttf", "font/otf": ".otf",
+  "application/font-woff": ".woff", "application/x-font-woff": ".woff", "application/font-woff2": ".woff2",
+  "application/x-font-ttf": ".ttf", "application/x-font-otf": ".otf", "application/vnd.ms-fontobject": ".eot",
+  "text/css": ".css", "text/vtt": ".vtt", "text/plain": ".txt", "application/json": ".json",
+  "application/pdf": ".pdf", "video/mp4": ".mp4", "video/webm": ".webm", "video/ogg": ".ogv",
+  "audio/mpeg": ".mp3", "audio/ogg": ".ogg", "audio/wav": ".wav", "audio/webm": ".weba",
+};
+// data: URLs up to this long stay inline; longer ones are written to assets/
+const DATA_URL_INLINE_LIMIT = 4096;
+const ASSET_RETRY_DELAY = 500;
+
+/** assets.json shows data: URLs by their start and length, not in full. */
+function reportUrl(assetUrl) {
+  return assetUrl.startsWith("data:") ? `${assetUrl.slice(0, 40)}… (${assetUrl.length} chars)` : assetUrl;
+}
 
-  // Skip downloading Google Fonts and other CDN font resources
-  // These should remain as CDN URLs for better performance and reliability
+function assetExtension(contentType, assetUrl) {
+  const mime = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (MIME_EXTENSIONS[mime]) return MIME_EXTENSIONS[mime];
   try {
-    const parsed = new URL(assetUrl);
-    if (parsed.hostname.includes('googleapis.com') ||
-        parsed.hostname.includes('gstatic.com') ||
-        parsed.hostname.includes('fonts.net') ||
-        parsed.hostname.includes('typekit.net')) {
-      // Mark as "keep original URL" by not adding to downloadedAssets
-      return null;
+    const ext = path.extname(new URL(assetUrl).pathname).toLowerCase();
+    if (/^\.[a-z0-9]{1,5}$/.test(ext)) return ext;
+  } catch {}
+  return ".bin";
+}
+
+/**
+ * Run fn once one of the `assetConcurrency` download slots is free. Slots
+ * are shared by every crawl worker, so the limit holds for the whole crawl.
+ */
+async function withAssetSlot(crawler, fn) {
+  if (crawler.assetSlots.active >= crawler.config.assetConcurrency) {
+    await new Promise(resolve => crawler.assetSlots.queue.push(resolve));
+  } else {
+    crawler.assetSlots.active++;
+  }
+  try {
+    return await fn();
+  } finally {
+    const next = crawler.assetSlots.queue.shift();
+    // The slot passes straight to the next waiter
+    if (next) next();
+    else crawler.assetSlots.active--;
+  }
+}
+
+/**
+ * Record the outcome of one asset in crawler.assetReport (→ assets.json):
+ * { url, path, bytes, contentType, status, reason }. status is "downloaded",
+ * "duplicate" (same bytes as an asset already saved; shares its path),
+ * "skipped" (kept at its original URL), "too-large" or "failed".
+ */
+function recordAsset(crawler, assetUrl, entry) {
+  crawler.assetReport.set(assetUrl, {
+    url: reportUrl(assetUrl), path: null, bytes: null, contentType: null, reason: null, ...entry,
+  });
+  if (entry.path) crawler.downloadedAssets.set(assetUrl, entry.path);
+  return entry.path || null;
+}
+
+/**
+ * Save downloaded bytes as assets/<content hash><ext>. Identical bytes from
+ * different URLs are written once and share the file.
+ */
+async function saveAsset(crawler, assetUrl, body, contentType) {
+  const hash = crypto.createHash("sha256").update(body).digest("hex").slice(0, 16);
+  const existing = crawler.assetHashes.get(hash);
+  if (existing) {
+    return recordAsset(crawler, assetUrl, { path: existing, bytes: body.length, contentType, status: "duplicate" });
+  }
+  const localPath = path.join("assets", `${hash}${assetExtension(contentType, assetUrl)}`);
+  crawler.assetHashes.set(hash, localPath);
+  await fs.ensureDir(path.join(crawler.config.outputDir, "assets"));
+  await fs.writeFile(path.join(crawler.config.outputDir, localPath), body);
+  return recordAsset(crawler, assetUrl, { path: localPath, bytes: body.length, contentType, status: "downloaded" });
+}
+
+/**
+ * Download one asset (once per crawl) and resolve with its local path, or
+ * null when it keeps its original URL — see crawler.assetReport for why.
+ * `blob` is { type, base64 } for a blob: URL read inside the page (see
+ * readBlobUrls); blob: URLs can't be fetched from anywhere else.
+ */
+async function downloadAsset(crawler, assetUrl, requestContext, blob = null) {
+  if (crawler.assetReport.has(assetUrl)) return crawler.assetReport.get(assetUrl).path;
+  // Another worker is already fetching this URL — share its result
+  if (crawler.pendingDownloads.has(assetUrl)) return crawler.pendingDownloads.get(assetUrl);
+
+  const pending = fetchAsset(crawler, assetUrl, requestContext, blob).catch(err =>
+    recordAsset(crawler, assetUrl, { status: "failed", reason: err.message }));
+  crawler.pendingDownloads.set(assetUrl, pending);
+  try {
+    return await pending;
+  } finally {
+    crawler.pendingDownloads.delete(assetUrl);
+  }
+}
+
+async function fetchAsset(crawler, assetUrl, requestContext, blob) {
+  const { maxAssetSize } = crawler.config;
+  const tooLarge = (bytes) => maxAssetSize > 0 && bytes > maxAssetSize;
+
+  if (assetUrl.startsWith("data:")) {
+    if (assetUrl.length <= DATA_URL_INLINE_LIMIT) return null;
+    const match = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(assetUrl);
+    if (!match) return recordAsset(crawler, assetUrl, { status: "failed", reason: "malformed data: URL" });
+    const body = match[2] ? Buffer.from(match[3], "base64") : Buffer.from(decodeURIComponent(match[3]), "utf-8");
+    if (tooLarge(body.length)) return recordAsset(crawler, assetUrl, { bytes: body.length, status: "too-large" });
+    return saveAsset(crawler, assetUrl, body, match[1] || "text/plain");
+  }
+  if (assetUrl.startsWith("blob:")) {
+    if (!blob) return recordAsset(crawler, assetUrl, { status: "failed", reason: "blob could not be read in the page" });
+    if (blob.tooLarge) return recordAsset(crawler, assetUrl, { bytes: blob.size, contentType: blob.type, status: "too-large" });
+    return saveAsset(crawler, assetUrl, Buffer.from(blob.base64, "base64"), blob.type);
+  }
+
+  // Skip downloading Google Fonts and other CDN font resources
+  // These should remain as CDN URLs for better performance and reliability,
+  // unless the site has to work offline
+  const parsed = new URL(assetUrl);
+  if (!/^https?:$/.test(parsed.protocol)) {
+    return recordAsset(crawler, assetUrl, { status: "skipped", reason: `${parsed.protocol} URL` });
+  }
+  const onCdn = crawler.config.cdnHosts.some(host => parsed.hostname.includes(host));
+  if (onCdn && !crawler.config.offlineFonts) {
+    return recordAsset(crawler, assetUrl, { status: "skipped", reason: "on cdnHosts" });
+  }
+
+  // Network errors, 429 and 5xx are retried with backoff; other statuses fail at once
+  let fetched;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      fetched = await withAssetSlot(crawler, async () => {
+        // Font CDNs pick the font format by user agent; ask for what browsers get
+        const response = await requestContext.get(assetUrl, onCdn ? { headers: { "user-agent": BROWSER_USER_AGENT } } : {});
+        try {
+          const headers = response.headers();
+          const status = response.status();
+          const contentType = headers["content-type"] || null;
+          if (!response.ok()) return { status };
+          if (tooLarge(Number(headers["content-length"]) || 0)) {
+            return { status, contentType, tooLarge: true, bytes: Number(headers["content-length"]) };
+          }
+          return { status, contentType, body: await response.body() };
+        } finally {
+          await response.dispose().catch(() => {});
+        }
+      });
+    } catch (err) {
+      fetched = { error: err.message.split("\n")[0] };
     }
+    const retryable = fetched.error || fetched.status === 429 || fetched.status >= 500;
+    if (!retryable || attempt >= crawler.config.assetRetries) break;
+    await new Promise(resolve => setTimeout(resolve, ASSET_RETRY_DELAY * 2 ** attempt));
+  }
 
-    const ext = path.extname(parsed.pathname).split("?")[0] || ".bin";
-    const localName = `${hashUrl(assetUrl)}${ext}`;
-    const localPath = path.join("assets", localName);
-    const fullPath = path.join(OUTPUT_DIR, localPath);
+  if (fetched.error) return recordAsset(crawler, assetUrl, { status: "failed", reason: fetched.error });
+  if (!fetched.body && !fetched.tooLarge) {
+    return recordAsset(crawler, assetUrl, { status: "failed", reason: `HTTP ${fetched.status}` });
+  }
+  if (fetched.tooLarge || tooLarge(fetched.body.length)) {
+    return recordAsset(crawler, assetUrl, { bytes: fetched.bytes ?? fetched.body.length, contentType: fetched.contentType, status: "too-large" });
+  }
 
-    await fs.ensureDir(path.dirname(fullPath));
-    const response = await requestContext.get(assetUrl);
-    if (response.ok()) {
-      await fs.writeFile(fullPath, await response.body());
-      downloadedAssets.set(assetUrl, localPath);
-      return localPath;
+  let { body, contentType } = fetched;
+  const isStylesheet = /text\/css/i.test(contentType || "") || path.extname(parsed.pathname) === ".css";
+  if (isStylesheet) {
+    contentType = "text/css";
+    body = Buffer.from(await localizeStylesheet(crawler, body.toString("utf-8"), assetUrl, requestContext), "utf-8");
+  }
+  return saveAsset(crawler, assetUrl, body, contentType);
+}
+
+/**
+ * Serialise blob: URLs from inside the page that created them, as
+ * [{ url, type, base64 }] — or { url, type, size, tooLarge } past
+ * maxAssetSize, { url, error } when the blob is gone.
+ */
+async function readBlobUrls(crawler, page, urls) {
+  return page.evaluate(async ({ urls, maxSize }) => {
+    const results = [];
+    for (const url of urls) {
+      try {
+        const blob = await (await fetch(url)).blob();
+        if (maxSize > 0 && blob.size > maxSize) {
+          results.push({ url, type: blob.type, size: blob.size, tooLarge: true });
+          continue;
+        }
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        results.push({ url, type: blob.type, base64: btoa(binary) });
+      } catch (err) {
+        results.push({ url, error: err.message });
+      }
     }
-  } catch {}
-  return null;
+    return results;
+  }, { urls, maxSize: crawler.config.maxAssetSize });
+}
+
+/**
+ * Download everything a snapshot refers to, assetConcurrency at a time:
+ * asset URLs from the HTML and the url()s of its stylesheets.
+ */
+async function downloadPageAssets(crawler, page, requestContext, assetUrls, cssBlocks) {
+  const urls = new Set(assetUrls);
+  for (const { css } of cssBlocks) {
+    rewriteCssUrls(css, ref => {
+      if (/^(https?|data):/i.test(ref)) urls.add(ref);
+    });
+  }
+
+  const blobUrls = [...urls].filter(u => u.startsWith("blob:") && !crawler.assetReport.has(u));
+  const blobs = new Map();
+  if (blobUrls.length > 0) {
+    for (const blob of await readBlobUrls(crawler, page, blobUrls)) {
+      if (!blob.error) blobs.set(blob.url, blob);
+    }
+  }
+
+  await Promise.all([...urls].map(u => downloadAsset(crawler, u, requestContext, blobs.get(u) || null)));
+}
+
+/**
+ * Whether the download of `from` is (through the stylesheets it is
+ * localizing) waiting on `target` — see crawler.stylesheetWaits.
+ */
+function stylesheetWaitsOn(crawler, from, target, seen = new Set()) {
+  if (from === target) return true;
+  if (seen.has(from)) return false;
+  seen.add(from);
+  return [...(crawler.stylesheetWaits.get(from) || [])].some(next => stylesheetWaitsOn(crawler, next, target, seen));
+}
+
+/**
+ * Download what a stylesheet saved to assets/ refers to (fonts, images,
+ * @import-ed sheets) and point its url()s at the local copies next to it.
+ * References that can't be downloaded are made absolute, so they still
+ * resolve from assets/. So are references back into the chain of sheets
+ * being localized (a.css imports b.css imports a.css): waiting on those
+ * would never finish, whether the chain started in this download or in
+ * another worker's.
+ */
+async function localizeStylesheet(crawler, css, sheetUrl, requestContext) {
+  const refs = new Set();
+  rewriteCssUrls(css, ref => { refs.add(ref); });
+
+  const replacements = new Map();
+  for (const ref of refs) {
+    if (/^(data|blob):|^#/.test(ref)) continue;
+    let absolute;
+    try {
+      absolute = new URL(ref, sheetUrl).href;
+    } catch {
+      continue;
+    }
+    if (stylesheetWaitsOn(crawler, absolute, sheetUrl)) {
+      replacements.set(ref, absolute);
+      continue;
+    }
+    // Checked and recorded with no await in between, so no other download
+    // can close a cycle unseen
+    if (!crawler.stylesheetWaits.has(sheetUrl)) crawler.stylesheetWaits.set(sheetUrl, new Set());
+    crawler.stylesheetWaits.get(sheetUrl).add(absolute);
+    let localPath;
+    try {
+      localPath = await downloadAsset(crawler, absolute, requestContext);
+    } finally {
+      crawler.stylesheetWaits.get(sheetUrl).delete(absolute);
+    }
+    replacements.set(ref, localPath ? path.basename(localPath) : absolute);
+  }
+  crawler.stylesheetWaits.delete(sheetUrl);
+
+  return rewriteCssUrls(css, ref => replacements.get(ref));
+}
+
+/**
+ * offlineFonts: download the CDN stylesheets in <head> (and, through
+ * fetchAsset, the fonts they load) and drop preconnect/dns-prefetch hints,
+ * which only warm up connections to the CDN. Returns the <link> tags to
+ * keep; buildPage() points the stylesheet links at the local copies.
+ */
+async function localizeExternalLinks(crawler, links, requestContext) {
+  const kept = [];
+  for (const link of links) {
+    if (/rel=["'](preconnect|dns-prefetch)["']/i.test(link)) continue;
+    const href = /href=["']([^"']+)["']/.exec(link);
+    if (!href) continue;
+    const url = new URL(href[1].replace(/&amp;/g, "&"), crawler.config.url).href;
+    if (await downloadAsset(crawler, url, requestContext)) {
+      kept.push(`<link rel="stylesheet" href="${url}">`);
+    } else {
+      crawler.warn(`Could not download ${url} for offline use — it stays on the CDN`);
+      kept.push(link);
+    }
+  }
+  return kept;
 }
 
 // ── CSS Extraction ─────────────────────────────────────────────────────────
 
+/**
+ * Every stylesheet of the page as [{ href, css }]: href is the stylesheet's
+ * URL (null for <style> blocks and constructable sheets), and url()/@import
+ * references in css are already resolved against it (see resolveCssUrls).
+ */
 async function extractAllCSS(page) {
-  return await page.evaluate(async () => {
+  const blocks = await page.evaluate(async () => {
     const results = [];
-    for (const sheet of document.styleSheets) {
+    // Constructable stylesheets (CSS-in-JS, web components) aren't in styleSheets
+    for (const sheet of [...document.styleSheets, ...(document.adoptedStyleSheets || [])]) {
+      const href = sheet.href || null;
+      const base = href || document.baseURI;
       try {
         let css = "";
         for (const rule of (sheet.cssRules || sheet.rules)) {
           css += rule.cssText + "\n";
         }
-        if (css.trim()) results.push(css);
+        if (css.trim()) results.push({ href, base, css });
       } catch {
         if (sheet.href) {
           try {
             const r = await fetch(sheet.href);
-            results.push(await r.text());
+            results.push({ href, base, css: await r.text() });
           } catch {}
         }
       }
     }
     return results;
   });
+  return blocks.map(({ href, base, css }) => ({ href, css: resolveCssUrls(css, base) }));
+}
+
+/**
+ * Make every url() and @import in a stylesheet absolute, resolved against
+ * the stylesheet's own URL (or the page's, for <style> blocks), so
+ * url(../fonts/x.woff2) in /static/css/main.css still points at
+ * /static/fonts/x.woff2 once the CSS is inlined into a page elsewhere. The
+ * absolute URLs are what the asset downloader and rewriter work on.
+ * Fragment references (url(#clip)) and data:/blob: URLs are left alone.
+ */
+function resolveCssUrls(css, baseUrl) {
+  const resolve = (ref) => {
+    if (/^(data|blob|about):|^#/i.test(ref)) return null;
+    try {
+      return new URL(ref, baseUrl).href;
+    } catch {
+      return null;
+    }
+  };
+  return rewriteCssUrls(css, resolve);
 }
 
 // ── External Link Extraction ──────────────────────────────────────────────
@@ -211,33 +943,667 @@ async function extractExternalLinks(page) {
   });
 }
 
+// ── Lazy content (scroll pass) ────────────────────────────────────────────
+
+const SCROLL_STEP_WAIT = 150;
+const MAX_SCROLL_STEPS = 150;
+const MAX_SCROLL_CONTAINERS = 10;
+const SCROLL_BUDGET = 20000;
+// Rows a list must have dropped while scrolling before it counts as virtualised
+const MIN_VIRTUAL_ROWS = 3;
+
+/**
+ * Make content that only renders when scrolled into view part of the DOM:
+ *   1. Lazy images/iframes load eagerly; data-src/data-srcset are promoted
+ *   2. The page and each scrollable container are scrolled step by step until
+ *      the bottom stops moving (infinite scroll keeps loading meanwhile), then
+ *      back to the top
+ *   3. Rows a virtualised list removed while scrolling are recorded, so
+ *      extractCleanHTML() can put the whole list back
+ *   4. Elements still at opacity 0 after that, waiting for a reveal animation
+ *      (inline opacity, data-aos, fade/reveal classes, transformed), are marked
+ *      to be shown
+ * `scope` limits scrolling to one element, e.g. an open dialog.
+ */
+async function revealLazyContent(crawler, page, scope = null) {
+  const result = await page.evaluate(async ({ chrome, scope, stepWait, maxSteps, maxContainers, budget, minRows }) => {
+    const deadline = Date.now() + budget;
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const root = (scope && document.querySelector(scope)) || null;
+    for (const attr of ["data-crawler-virtual", "data-crawler-reveal"]) {
+      document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+    }
+
+    // 1. Lazy images
+    let forced = 0;
+    (root || document).querySelectorAll("img[loading='lazy'], iframe[loading='lazy']").forEach(el => {
+      el.loading = "eager";
+      forced++;
+    });
+    (root || document).querySelectorAll("[data-src], [data-srcset]").forEach(el => {
+      const src = el.getAttribute("data-src");
+      const srcset = el.getAttribute("data-srcset");
+      const current = el.getAttribute("src") || "";
+      if (src && (!current || current.startsWith("data:"))) {
+        el.setAttribute("src", src);
+        forced++;
+      }
+      if (srcset && !el.getAttribute("srcset")) {
+        el.setAttribute("srcset", srcset);
+        forced++;
+      }
+    });
+
+    // 3. Watch for rows leaving the DOM while we scroll. A row's place comes
+    // from its index attribute, else its inline top/translateY, else the
+    // order we saw it in
+    const tracked = new Map();
+    let seq = 0;
+    const rowKey = (el) => el.getAttribute("data-index") ?? el.getAttribute("data-item-index") ??
+      el.getAttribute("aria-rowindex") ?? el.outerHTML;
+    const rowOrder = (el) => {
+      const index = rowKey(el);
+      if (index !== el.outerHTML && !isNaN(Number(index))) return { order: Number(index), positioned: false };
+      const top = parseFloat(el.style.top);
+      if (!isNaN(top)) return { order: top, positioned: true };
+      const translate = /translateY\((-?[\d.]+)px\)/.exec(el.style.transform || "");
+      if (translate) return { order: parseFloat(translate[1]), positioned: true };
+      return { order: null, positioned: false };
+    };
+    const remember = (parent, el) => {
+      let rows = tracked.get(parent);
+      if (!rows) tracked.set(parent, rows = { seen: new Map(), removed: 0 });
+      const key = rowKey(el);
+      if (!rows.seen.has(key)) rows.seen.set(key, { html: el.outerHTML, seq: seq++, ...rowOrder(el) });
+      return rows;
+    };
+    const observer = new MutationObserver(records => {
+      for (const record of records) {
+        if (record.type !== "childList" || !record.target.isConnected) continue;
+        for (const node of record.removedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) remember(record.target, node).removed++;
+        }
+        if (!tracked.has(record.target)) continue;
+        for (const node of record.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) remember(record.target, node);
+        }
+      }
+    });
+    observer.observe(root || document.body, { childList: true, subtree: true });
+
+    // 2. Scroll
+    const isScrollable = (el) => {
+      if (el.scrollHeight <= el.clientHeight + 50 || el.clientHeight < 50) return false;
+      const { overflowY } = getComputedStyle(el);
+      return (overflowY === "auto" || overflowY === "scroll") && !el.closest(chrome);
+    };
+    const containers = Array.from((root || document.body).querySelectorAll("*")).filter(isScrollable).slice(0, maxContainers);
+    const scrollers = root ? [root, ...containers] : [document.scrollingElement || document.documentElement, ...containers];
+    let steps = 0;
+    for (const scroller of scrollers) {
+      for (let n = 0; n < maxSteps && Date.now() < deadline; n++) {
+        const height = scroller.scrollHeight;
+        scroller.scrollTop += Math.max(100, scroller.clientHeight * 0.8);
+        steps++;
+        await sleep(stepWait);
+        if (scroller.scrollTop + scroller.clientHeight < scroller.scrollHeight - 2) continue;
+        // At the bottom: give infinite scroll a moment to load more
+        await sleep(stepWait * 3);
+        if (scroller.scrollHeight === height) break;
+      }
+      scroller.scrollTop = 0;
+    }
+    await sleep(stepWait);
+    observer.disconnect();
+
+    // Lists that lost rows which are still missing: keep every row we saw
+    const virtual = window.__crawlerVirtual = {};
+    let virtualRows = 0;
+    for (const [parent, rows] of tracked) {
+      if (!parent.isConnected || rows.removed < minRows) continue;
+      for (const child of parent.children) remember(parent, child);
+      const present = new Set(Array.from(parent.children, rowKey));
+      const missing = [...rows.seen.keys()].filter(key => !present.has(key));
+      if (missing.length < minRows) continue;
+      const id = String(Object.keys(virtual).length);
+      const all = [...rows.seen.values()];
+      all.sort((a, b) => a.order != null && b.order != null ? a.order - b.order : a.seq - b.seq);
+      parent.setAttribute("data-crawler-virtual", id);
+      virtual[id] = { positioned: all.some(row => row.positioned), rows: all.map(row => row.html) };
+      virtualRows += missing.length;
+    }
+
+    // 4. Reveal-on-scroll elements that never got revealed
+    let revealed = 0;
+    const revealHint = /reveal|fade|aos|animate|motion|in-?view/i;
+    (root || document.body).querySelectorAll("*").forEach(el => {
+      const style = getComputedStyle(el);
+      if (style.opacity !== "0" || style.position === "absolute" || style.position === "fixed") return;
+      if (el.closest(chrome) || !(el.textContent || "").trim() && !el.querySelector("img, svg, video, canvas")) return;
+      const hinted = el.style.opacity === "0" || el.hasAttribute("data-aos") ||
+        revealHint.test(typeof el.className === "string" ? el.className : "") || style.transform !== "none";
+      if (!hinted) return;
+      el.setAttribute("data-crawler-reveal", "");
+      revealed++;
+    });
+
+    return { forced, steps, virtualRows, revealed };
+  }, {
+    chrome: PANEL_CHROME, scope, stepWait: SCROLL_STEP_WAIT, maxSteps: MAX_SCROLL_STEPS,
+    maxContainers: MAX_SCROLL_CONTAINERS, budget: SCROLL_BUDGET, minRows: MIN_VIRTUAL_ROWS,
+  });
+
+  // Eagerly loaded images and whatever the scrolling fetched
+  await waitForSettled(crawler, page, Math.min(crawler.config.settleTimeout, PANEL_SETTLE_TIMEOUT));
+  if (result.virtualRows > 0 || result.revealed > 0) {
+    crawler.log(`    📜 Scroll pass: ${result.steps} steps, ${result.virtualRows} virtualised rows kept, ${result.revealed} hidden reveal elements shown`);
+  }
+  return result;
+}
+
+// ── Panels (tabs, accordions, <details>) ───────────────────────────────────
+
+// Tabs and disclosures in site chrome (collapsible sidebar groups, nav menus)
+// are navigation rather than content and are left as they are
+const PANEL_CHROME = "nav, aside, header, footer, [role='navigation'], [class*='sidebar'], [class*='Sidebar']";
+const MAX_PANEL_CONTROLS = 40;
+const PANEL_SETTLE_TIMEOUT = 3000;
+
+/**
+ * Open every tab and disclosure panel in the content area one at a time and
+ * record its HTML, so the snapshot holds all of them instead of only the one
+ * that happened to be open. The live page is put back the way it was;
+ * extractCleanHTML() applies the recorded panels to its copy of the DOM.
+ *
+ * Tabs are [role=tablist] > [role=tab] with their [role=tabpanel].
+ * Disclosures are aria-expanded="false" controls that don't open a popup
+ * (menus, listboxes and dialogs stay closed). <details> need no clicking and
+ * are simply opened in the copy. `scope` limits this to one element, e.g. an
+ * open dialog.
+ */
+async function capturePanels(crawler, page, scope = null) {
+  const found = await page.evaluate(({ chrome, max, scope }) => {
+    const root = (scope && document.querySelector(scope)) || document;
+    for (const attr of ["data-crawler-tablist", "data-crawler-tab", "data-crawler-tabpanel", "data-crawler-disclosure"]) {
+      document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+    }
+    const state = window.__crawlerPanels = { tablists: {}, disclosures: {} };
+    const isVisible = (el) => !el.hidden && el.getClientRects().length > 0;
+
+    // The panel a tab shows: its aria-controls target, else the one visible
+    // tabpanel near the tablist
+    state.panelFor = (tab) => {
+      const id = tab.getAttribute("aria-controls");
+      const byId = id && document.getElementById(id);
+      if (byId) return byId;
+      let scope = tab.closest("[role='tablist']");
+      for (let level = 0; level < 3 && scope; level++) {
+        scope = scope.parentElement;
+        const panel = scope && Array.from(scope.querySelectorAll("[role='tabpanel']")).find(isVisible);
+        if (panel) return panel;
+      }
+      return null;
+    };
+    // Where a disclosure control's content sits: beside it, or beside the
+    // heading it is wrapped in (accordion triggers usually are)
+    state.anchorFor = (control) => control.closest("h1, h2, h3, h4, h5, h6") || control;
+    state.regionFor = (control) => {
+      const id = control.getAttribute("aria-controls");
+      const byId = id && document.getElementById(id);
+      if (byId) return byId;
+      const next = state.anchorFor(control).nextElementSibling;
+      return next && isVisible(next) ? next : null;
+    };
+
+    const inContent = (el) => !el.closest(chrome);
+    let budget = max;
+    const tablists = [];
+    root.querySelectorAll("[role='tablist']").forEach((list, t) => {
+      const tabs = Array.from(list.querySelectorAll("[role='tab']"));
+      if (!inContent(list) || tabs.length < 2 || tabs.length > budget) return;
+      budget -= tabs.length;
+      list.setAttribute("data-crawler-tablist", String(t));
+      tabs.forEach((tab, i) => tab.setAttribute("data-crawler-tab", `${t}-${i}`));
+      const selected = tabs.findIndex(tab =>
+        tab.getAttribute("aria-selected") === "true" || tab.getAttribute("data-state") === "active");
+      tablists.push({ id: String(t), count: tabs.length, selected: Math.max(0, selected) });
+    });
+
+    const disclosures = [];
+    root.querySelectorAll("[aria-expanded='false']").forEach((control, d) => {
+      if (budget <= 0 || !inContent(control) || control.closest("[role='tablist']")) return;
+      if (control.hasAttribute("aria-haspopup") ||
+          ["combobox", "menuitem", "option", "tab"].includes(control.getAttribute("role"))) return;
+      budget--;
+      control.setAttribute("data-crawler-disclosure", String(d));
+      disclosures.push(String(d));
+    });
+    return { tablists, disclosures };
+  }, { chrome: PANEL_CHROME, max: MAX_PANEL_CONTROLS, scope });
+
+  const settle = () => waitForSettled(crawler, page, Math.min(crawler.config.settleTimeout, PANEL_SETTLE_TIMEOUT));
+  // A real click: several widget libraries react to pointer events, not el.click()
+  const clickMarked = async (attr, id) => {
+    try {
+      await page.locator(`[${attr}="${id}"]`).first().click({ timeout: 2000 });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  for (const { id, count, selected } of found.tablists) {
+    const panels = [];
+    for (let i = 0; i < count; i++) {
+      if (i !== selected) {
+        if (!await clickMarked("data-crawler-tab", `${id}-${i}`)) {
+          panels.push({ label: "", html: null });
+          continue;
+        }
+        await settle();
+      }
+      panels.push(await page.evaluate((marker) => {
+        const tab = document.querySelector(`[data-crawler-tab="${marker}"]`);
+        const panel = tab && window.__crawlerPanels.panelFor(tab);
+        return { label: tab ? (tab.textContent || "").trim().replace(/\s+/g, " ") : "", html: panel ? panel.innerHTML : null };
+      }, `${id}-${i}`));
+    }
+    if (count - 1 !== selected) {
+      await clickMarked("data-crawler-tab", `${id}-${selected}`);
+      await settle();
+    }
+    await page.evaluate(({ id, selected, panels }) => {
+      const tab = document.querySelector(`[data-crawler-tab="${id}-${selected}"]`);
+      const panel = tab && window.__crawlerPanels.panelFor(tab);
+      if (!panel) return;
+      panel.setAttribute("data-crawler-tabpanel", id);
+      window.__crawlerPanels.tablists[id] = { selected, panels };
+    }, { id, selected, panels });
+  }
+
+  for (const id of found.disclosures) {
+    if (!await clickMarked("data-crawler-disclosure", id)) continue;
+    await settle();
+    const opened = await page.evaluate((id) => {
+      const state = window.__crawlerPanels;
+      const control = document.querySelector(`[data-crawler-disclosure="${id}"]`);
+      if (!control || control.getAttribute("aria-expanded") !== "true") return false;
+      const region = state.regionFor(control);
+      if (region) {
+        state.disclosures[id] = {
+          regionId: control.getAttribute("aria-controls") ? region.id : null,
+          tag: region.tagName,
+          className: region.className,
+          html: region.outerHTML,
+        };
+      }
+      return true;
+    }, id);
+    // Collapse it again, or single-open accordions would close the previous one
+    if (opened) {
+      await clickMarked("data-crawler-disclosure", id);
+      await settle();
+    }
+  }
+}
+
+// ── Overlays (dialogs, drawers, popovers) ─────────────────────────────────
+
+const OVERLAY_QUERY = "[role='dialog'], [role='alertdialog'], [aria-modal='true'], dialog[open], [popover]";
+// Toasts and tooltips also appear after a click, but aren't content
+const OVERLAY_IGNORE = "[role='status'], [role='alert'], [role='tooltip'], [aria-live], [data-sonner-toaster]";
+const MIN_OVERLAY_TEXT = 20;
+
+/**
+ * Remember which overlays are open and which portal containers exist before
+ * a click, so findNewOverlay() can tell what the click opened.
+ */
+async function markKnownOverlays(page) {
+  await page.evaluate((overlayQuery) => {
+    document.querySelectorAll(overlayQuery).forEach(el => el.setAttribute("data-crawler-known", ""));
+    for (const child of document.body.children) child.setAttribute("data-crawler-known", "");
+  }, OVERLAY_QUERY);
+}
+
+/**
+ * Find a dialog, drawer or popover that is open now: a visible element
+ * matching OVERLAY_QUERY, or a new portal container (a child of <body>)
+ * holding positioned content. With onlyNew, overlays and portals that were
+ * there before the click (see markKnownOverlays) don't count.
+ *
+ * The overlay is marked data-crawler-overlay so it can be captured and
+ * closed. Returns { marker, name } or null; name is its accessible name or
+ * first heading.
+ */
+async function findNewOverlay(page, onlyNew = true) {
+  return await page.evaluate(({ overlayQuery, ignore, minText, onlyNew }) => {
+    const isVisible = (el) => !el.hidden && el.getClientRects().length > 0 &&
+      getComputedStyle(el).visibility !== "hidden" && el.getAttribute("aria-hidden") !== "true";
+    const isNew = (el) => !onlyNew || !el.closest("[data-crawler-known]");
+    const textOf = (el) => (el.textContent || "").trim().replace(/\s+/g, " ");
+    const isContent = (el) => isVisible(el) && !el.matches(ignore) && !el.closest(ignore) &&
+      textOf(el).length >= minText;
+
+    let overlay = null;
+    let candidates = [];
+    try {
+      // :popover-open is unknown to older engines
+      candidates = Array.from(document.querySelectorAll(overlayQuery)).filter(el => isNew(el) && isContent(el) &&
+        (!el.matches("[popover]") || el.matches(":popover-open")));
+    } catch {}
+    // The outermost one: a dialog inside a modal wrapper is part of it
+    overlay = candidates.find(el => !candidates.some(other => other !== el && other.contains(el))) || null;
+
+    if (!overlay) {
+      // Portal without ARIA roles: take the innermost positioned element that
+      // still holds (nearly) all of the portal's text, which leaves out backdrops
+      for (const child of document.body.children) {
+        if (!isNew(child) || !isContent(child) || child.matches("script, style, #root, #__next, #app")) continue;
+        const total = textOf(child).length;
+        const positioned = [child, ...child.querySelectorAll("*")].filter(el => {
+          const position = getComputedStyle(el).position;
+          return (position === "fixed" || position === "absolute") && textOf(el).length >= total * 0.9;
+        });
+        if (positioned.length > 0) {
+          overlay = positioned[positioned.length - 1];
+          break;
+        }
+      }
+    }
+    if (!overlay) return null;
+
+    window.__crawlerOverlays = (window.__crawlerOverlays || 0) + 1;
+    const marker = String(window.__crawlerOverlays);
+    overlay.setAttribute("data-crawler-overlay", marker);
+
+    const labelledBy = overlay.getAttribute("aria-labelledby");
+    const labelEl = labelledBy && document.getElementById(labelledBy.split(/\s+/)[0]);
+    const heading = overlay.querySelector("h1, h2, h3, h4, [role='heading']");
+    const name = overlay.getAttribute("aria-label") || (labelEl && textOf(labelEl)) || (heading && textOf(heading)) || null;
+    return { marker, name: name ? name.slice(0, 120) : null };
+  }, { overlayQuery: OVERLAY_QUERY, ignore: OVERLAY_IGNORE, minText: MIN_OVERLAY_TEXT, onlyNew });
+}
+
+/**
+ * Close an overlay found by findNewOverlay(): press Escape, then try its
+ * close button. Returns true once the overlay is gone or hidden.
+ */
+async function closeOverlay(crawler, page, marker) {
+  const selector = `[data-crawler-overlay="${marker}"]`;
+  const isOpen = () => page.evaluate((selector) => {
+    const el = document.querySelector(selector);
+    return !!el && el.isConnected && el.getClientRects().length > 0 &&
+      getComputedStyle(el).visibility !== "hidden" && el.getAttribute("data-state") !== "closed";
+  }, selector).catch(() => false);
+  const settle = () => waitForSettled(crawler, page, Math.min(crawler.config.settleTimeout, PANEL_SETTLE_TIMEOUT));
+
+  await page.keyboard.press("Escape").catch(() => {});
+  await settle();
+  if (!(await isOpen())) return true;
+
+  const hasCloseButton = await page.evaluate((selector) => {
+    const overlay = document.querySelector(selector);
+    if (!overlay) return false;
+    const buttons = Array.from(overlay.querySelectorAll("button, [role='button'], a[href='#']"));
+    const label = (el) => `${el.getAttribute("aria-label") || ""} ${el.getAttribute("title") || ""} ${(el.textContent || "").trim()}`;
+    const close = buttons.find(el => /\b(close|dismiss)\b/i.test(label(el))) ||
+      buttons.find(el => /^\s*(×|✕|✖|x)\s*$/i.test((el.textContent || "").trim())) ||
+      buttons.find(el => /\b(cancel|done)\b/i.test(label(el)));
+    if (!close) return false;
+    close.setAttribute("data-crawler-close", "");
+    return true;
+  }, selector).catch(() => false);
+  if (!hasCloseButton) return false;
+
+  try {
+    await page.locator(`${selector} [data-crawler-close]`).first().click({ timeout: 2000 });
+  } catch {
+    return false;
+  }
+  await settle();
+  return !(await isOpen());
+}
+
+/**
+ * Add an overlay captured with snapshotPage({ root }) to the page that opened
+ * it, as a section with its own anchor (#dialog-<name>). CSS injected only
+ * while the overlay was open is appended to the page's CSS.
+ */
+function attachOverlaySection(crawler, parentKey, name, snapshot) {
+  const parent = crawler.capturedRoutes.get(parentKey);
+  if (!parent) return null;
+  parent.sections = parent.sections || [];
+
+  const base = "dialog-" + ((name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "section");
+  let id = base;
+  for (let n = 2; parent.sections.some(s => s.id === id); n++) id = `${base}-${n}`;
+  parent.sections.push({ id, label: name });
+
+  const label = name ? ` aria-label="${name.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"` : "";
+  parent.html += `\n<section id="${id}" class="crawler-overlay"${label}>\n${snapshot.html}\n</section>`;
+  const missing = snapshot.cssBlocks.filter(block => block.css && !parent.css.includes(block.css));
+  if (missing.length > 0) {
+    parent.css += "\n\n" + missing.map(block => block.css).join("\n\n");
+    if (parent.cssBlocks) parent.cssBlocks.push(...missing);
+  }
+  return id;
+}
+
 // ── HTML Extraction ────────────────────────────────────────────────────────
 
-async function extractCleanHTML(page) {
-  return await page.evaluate(() => {
-    const clone = document.body.cloneNode(true);
+/**
+ * The body's HTML without scripts, styles and framework attributes.
+ *
+ * panelsMode (see capturePanels): "expand" stacks every tab panel under a
+ * heading with its tab's label; "tabs" turns each tablist into radio inputs
+ * and labels that switch panels with CSS alone (falling back to "expand"
+ * when the panel isn't a sibling after the tablist). Both open recorded
+ * disclosures and <details>. "off" leaves the page as rendered.
+ *
+ * Open shadow roots, which cloning leaves behind, are written out as
+ * declarative shadow DOM (<template shadowrootmode="open">) with their
+ * adoptedStyleSheets as a <style> inside, so web components render without
+ * their scripts.
+ *
+ * With `root` (a selector), only that element is extracted, pinned into the
+ * normal flow: an overlay captured on its own (see findNewOverlay).
+ */
+async function extractCleanHTML(page, panelsMode = "off", root = null) {
+  return await page.evaluate(({ panelsMode, root }) => {
+    const source = (root && document.querySelector(root)) || document.body;
+
+    // Mark shadow hosts (including ones inside shadow roots) so their copies
+    // can be matched up with the live shadow roots after cloning
+    const hosts = [];
+    const markHost = (el) => {
+      if (!el.shadowRoot) return;
+      el.setAttribute("data-crawler-shadow", String(hosts.length));
+      hosts.push(el);
+      el.shadowRoot.querySelectorAll("*").forEach(markHost);
+    };
+    [source, ...source.querySelectorAll("*")].forEach(markHost);
+
+    const clone = source.cloneNode(true);
+    hosts.forEach(host => host.removeAttribute("data-crawler-shadow"));
+    // querySelector on the copy should see the root element itself too
+    const container = document.createElement("div");
+    container.appendChild(clone);
+    const switcherCss = [];
+
+    // Rows virtualised lists dropped and elements waiting for a reveal
+    // animation (see revealLazyContent)
+    for (const [id, { positioned, rows }] of Object.entries(window.__crawlerVirtual || {})) {
+      const list = container.querySelector(`[data-crawler-virtual="${id}"]`);
+      if (!list) continue;
+      list.innerHTML = rows.join("");
+      // Spacer padding stood in for the rows that weren't rendered
+      if (!positioned) {
+        list.style.removeProperty("padding-top");
+        list.style.removeProperty("padding-bottom");
+      }
+    }
+    container.querySelectorAll("[data-crawler-reveal]").forEach(el => {
+      el.style.setProperty("opacity", "1", "important");
+      el.style.setProperty("transform", "none", "important");
+    });
+
+    if (panelsMode !== "off") {
+      const state = window.__crawlerPanels || { tablists: {}, disclosures: {} };
+      const fragment = (html) => {
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        return template.content;
+      };
+
+      container.querySelectorAll("details").forEach(el => el.setAttribute("open", ""));
+
+      for (const [id, { selected, panels }] of Object.entries(state.tablists)) {
+        const list = container.querySelector(`[data-crawler-tablist="${id}"]`);
+        const panel = container.querySelector(`[data-crawler-tabpanel="${id}"]`);
+        if (!list || !panel) continue;
+
+        const copies = panels.map(({ label, html }, i) => {
+          const copy = panel.cloneNode(false);
+          copy.removeAttribute("id");
+          copy.removeAttribute("hidden");
+          copy.removeAttribute("data-crawler-tabpanel");
+          if (copy.hasAttribute("data-state")) copy.setAttribute("data-state", "active");
+          if (label) copy.setAttribute("aria-label", label);
+          copy.innerHTML = html != null ? html : i === selected ? panel.innerHTML : "";
+          return copy;
+        });
+
+        const switcher = panelsMode === "tabs" && panel.parentElement === list.parentElement &&
+          (list.compareDocumentPosition(panel) & Node.DOCUMENT_POSITION_FOLLOWING);
+        if (switcher) {
+          list.querySelectorAll("[data-crawler-tab]").forEach((tab, i) => {
+            const inputId = `crawler-tab-${id}-${i}`;
+            const input = document.createElement("input");
+            input.type = "radio";
+            input.name = `crawler-tabs-${id}`;
+            input.id = inputId;
+            input.className = "crawler-tab-input";
+            if (i === selected) input.setAttribute("checked", "");
+            list.before(input);
+
+            // The tab keeps its look but becomes the label for its radio
+            const label = document.createElement("label");
+            for (const attr of tab.attributes) label.setAttribute(attr.name, attr.value);
+            for (const attr of ["id", "type", "tabindex", "aria-controls", "data-crawler-tab"]) label.removeAttribute(attr);
+            label.setAttribute("for", inputId);
+            label.setAttribute("aria-selected", "false");
+            if (label.hasAttribute("data-state")) label.setAttribute("data-state", "inactive");
+            label.innerHTML = tab.innerHTML;
+            tab.replaceWith(label);
+
+            if (copies[i]) copies[i].setAttribute("data-crawler-panel", `${id}-${i}`);
+            switcherCss.push(
+              `#${inputId}:not(:checked) ~ [data-crawler-panel="${id}-${i}"] { display: none !important; }`,
+              `#${inputId}:checked ~ [data-crawler-tablist="${id}"] label[for="${inputId}"] { box-shadow: inset 0 -2px 0 currentColor; }`,
+            );
+          });
+          panel.replaceWith(...copies);
+        } else {
+          copies.forEach((copy, i) => {
+            if (!panels[i].label) return;
+            const heading = document.createElement("h4");
+            heading.className = "crawler-panel-label";
+            heading.textContent = panels[i].label;
+            copy.prepend(heading);
+          });
+          panel.replaceWith(...copies);
+          list.remove();
+        }
+      }
+
+      for (const [id, { regionId, tag, className, html }] of Object.entries(state.disclosures)) {
+        const control = container.querySelector(`[data-crawler-disclosure="${id}"]`);
+        if (!control) continue;
+        control.setAttribute("aria-expanded", "true");
+        if (control.hasAttribute("data-state")) control.setAttribute("data-state", "open");
+        const anchor = control.closest("h1, h2, h3, h4, h5, h6") || control;
+        // Replace the collapsed region if it is still in the DOM, else add the open one
+        const collapsed = regionId
+          ? container.querySelector(`#${CSS.escape(regionId)}`)
+          : anchor.nextElementSibling && anchor.nextElementSibling.tagName === tag &&
+            anchor.nextElementSibling.className === className ? anchor.nextElementSibling : null;
+        if (collapsed) collapsed.replaceWith(fragment(html));
+        else anchor.after(fragment(html));
+      }
+    }
 
     // Remove scripts, styles, framework noise
-    clone.querySelectorAll("script, noscript, style, link[rel='stylesheet'], link[rel='preload'], link[rel='prefetch'], link[rel='modulepreload']")
+    container.querySelectorAll("script, noscript, style, link[rel='stylesheet'], link[rel='preload'], link[rel='prefetch'], link[rel='modulepreload']")
       .forEach(el => el.remove());
 
-    // Clean framework data- attributes
+    // Clean framework data- attributes (and our own markers, except the ones
+    // the CSS tab switcher selects on)
     const frameworkPrefixes = ["data-rh", "data-react", "data-next", "data-v-", "data-testid"];
-    const exactAttrs = ["data-n-head", "data-server-rendered", "data-reactroot", "data-reactid"];
+    const exactAttrs = ["data-n-head", "data-server-rendered", "data-reactroot", "data-reactid",
+      "data-crawler-tab", "data-crawler-tabpanel", "data-crawler-disclosure",
+      "data-crawler-known", "data-crawler-overlay", "data-crawler-close", "data-crawler-virtual", "data-crawler-reveal"];
+    const switcherAttrs = ["data-crawler-tablist", "data-crawler-panel"];
 
-    clone.querySelectorAll("*").forEach(el => {
+    container.querySelectorAll("*").forEach(el => {
       const toRemove = [];
       for (const attr of el.attributes) {
         if (exactAttrs.includes(attr.name) ||
-            frameworkPrefixes.some(p => attr.name.startsWith(p))) {
+            frameworkPrefixes.some(p => attr.name.startsWith(p)) ||
+            (switcherAttrs.includes(attr.name) && switcherCss.length === 0)) {
           toRemove.push(attr.name);
         }
       }
       toRemove.forEach(a => el.removeAttribute(a));
     });
 
-    return clone.innerHTML;
-  });
+    if (root) {
+      // Fixed/centred positioning would float the overlay over nothing
+      for (const [property, value] of [["position", "relative"], ["inset", "auto"], ["transform", "none"],
+        ["translate", "none"], ["margin", "2rem auto"], ["max-height", "none"], ["height", "auto"], ["z-index", "auto"]]) {
+        clone.style.setProperty(property, value, "important");
+      }
+    }
+
+    // Declarative shadow DOM, nested as deep as the live shadow roots are
+    const sheetText = (sheets) => Array.from(sheets || [], sheet => {
+      try {
+        return Array.from(sheet.cssRules, rule => rule.cssText).join("\n");
+      } catch {
+        return "";
+      }
+    }).join("\n");
+    const attachShadowRoots = (scope) => scope.querySelectorAll("[data-crawler-shadow]").forEach(copy => {
+      const shadowRoot = hosts[Number(copy.getAttribute("data-crawler-shadow"))].shadowRoot;
+      copy.removeAttribute("data-crawler-shadow");
+      const template = document.createElement("template");
+      template.setAttribute("shadowrootmode", "open");
+      if (shadowRoot.delegatesFocus) template.setAttribute("shadowrootdelegatesfocus", "");
+      const adopted = sheetText(shadowRoot.adoptedStyleSheets);
+      if (adopted.trim()) {
+        const style = document.createElement("style");
+        style.textContent = adopted;
+        template.content.appendChild(style);
+      }
+      for (const node of shadowRoot.childNodes) {
+        if (node.nodeName !== "SCRIPT") template.content.appendChild(node.cloneNode(true));
+      }
+      attachShadowRoots(template.content);
+      copy.prepend(template);
+    });
+    attachShadowRoots(container);
+
+    if (switcherCss.length > 0) {
+      const style = document.createElement("style");
+      style.textContent = [
+        ".crawler-tab-input { position: absolute; opacity: 0; pointer-events: none; }",
+        "[data-crawler-tablist] label { cursor: pointer; }",
+        ...switcherCss,
+      ].join("\n");
+      clone.appendChild(style);
+    }
+
+    return root ? container.innerHTML : clone.innerHTML;
+  }, { panelsMode, root });
 }
 
 // ── Asset URL Discovery ────────────────────────────────────────────────────
@@ -245,56 +1611,93 @@ async function extractCleanHTML(page) {
 async function extractAssetUrls(page) {
   return await page.evaluate(() => {
     const urls = new Set();
-    document.querySelectorAll("img[src], source[src], video[src], video[poster]").forEach(el => {
-      if (el.src) urls.add(el.src);
-      if (el.poster) urls.add(el.poster);
+    const resolve = (u) => {
+      // Kept verbatim: the rewriter looks them up by their exact text
+      if (/^(data|blob):/i.test(u)) return u;
+      try {
+        return new URL(u, document.baseURI).href;
+      } catch {
+        return null;
+      }
+    };
+    const add = (u) => {
+      const resolved = u && resolve(u);
+      if (resolved) urls.add(resolved);
+    };
+
+    // Open shadow roots, tab and disclosure panels that aren't open right now
+    // (see capturePanels) and rows scrolled out of virtualised lists count too
+    const roots = [document];
+    const addShadowRoots = (scope) => scope.querySelectorAll("*").forEach(el => {
+      if (!el.shadowRoot) return;
+      roots.push(el.shadowRoot);
+      addShadowRoots(el.shadowRoot);
     });
-    document.querySelectorAll("[srcset]").forEach(el => {
-      el.srcset.split(",").forEach(entry => {
-        const u = entry.trim().split(/\s+/)[0];
-        if (u) urls.add(u);
+    addShadowRoots(document);
+    const panels = window.__crawlerPanels;
+    const virtual = window.__crawlerVirtual;
+    if (panels || virtual) {
+      const template = document.createElement("template");
+      template.innerHTML = [
+        ...(panels ? Object.values(panels.tablists).flatMap(t => t.panels.map(p => p.html || "")) : []),
+        ...(panels ? Object.values(panels.disclosures).map(d => d.html) : []),
+        ...(virtual ? Object.values(virtual).flatMap(v => v.rows) : []),
+      ].join("");
+      roots.push(template.content);
+    }
+
+    for (const root of roots) {
+      root.querySelectorAll("img[src], source[src], video[src], audio[src], track[src], video[poster], [data-src]").forEach(el => {
+        add(el.getAttribute("src"));
+        add(el.getAttribute("poster"));
+        add(el.getAttribute("data-src"));
       });
-    });
-    // Background images in inline styles
-    document.querySelectorAll("[style]").forEach(el => {
-      const matches = el.style.cssText.match(/url\(["']?([^"')]+)["']?\)/g);
-      if (matches) matches.forEach(m => {
-        const u = m.replace(/url\(["']?/, "").replace(/["']?\)/, "");
-        if (u.startsWith("http")) urls.add(u);
+      root.querySelectorAll("[srcset], [data-srcset]").forEach(el => {
+        for (const srcset of [el.getAttribute("srcset"), el.getAttribute("data-srcset")]) {
+          if (srcset) srcset.split(/,\s+/).forEach(entry => add(entry.trim().split(/\s+/)[0]));
+        }
       });
-    });
+      // Background images in inline styles
+      root.querySelectorAll("[style]").forEach(el => {
+        for (const m of (el.getAttribute("style") || "").matchAll(/url\(\s*["']?([^"')]+?)["']?\s*\)/g)) {
+          if (!/^(data|blob):/i.test(m[1])) add(m[1]);
+        }
+      });
+    }
     return [...urls];
   });
 }
 
-// ── Clickable element selectors ────────────────────────────────────────────
-
-const CLICKABLE_SELECTORS = [
-  // Specific navigation selectors
-  "nav a", "nav button",
-  "[class*='sidebar'] a", "[class*='sidebar'] button",
-  "[class*='Sidebar'] a", "[class*='Sidebar'] button",
-  "[class*='nav'] a", "[class*='nav'] button",
-  "[class*='Nav'] a", "[class*='Nav'] button",
-  "[class*='menu'] a", "[class*='menu'] button",
-  "[class*='Menu'] a", "[class*='Menu'] button",
-  "[role='navigation'] a", "[role='navigation'] button",
-  "[class*='tab'] a", "[class*='tab'] button",
-  "[class*='Tab'] a", "[class*='Tab'] button",
-  // MUI-specific selectors
-  ".MuiListItem-root", ".MuiListItemButton-root",
-  ".MuiTab-root", ".MuiButton-root",
-  "[class*='ListItem'] a", "[class*='ListItem'] button",
-  // Figma Make component cards and clickable elements
-  "[data-slot='card'][class*='cursor-pointer']",
-  "[class*='cursor-pointer'][role='button']",
-  // Component listing page: links to component detail pages (Button, Tab, Badge, etc.)
-  "a[href*='#/components/']", "a[href*='/components/']",
-  "[class*='card'] a", "[class*='Card'] a",
-  "[class*='card']", "[class*='Card']",
-  // Generic button/link selectors (for Figma sites with generic Tailwind classes)
-  "button", "a[href]",
-].join(", ");
+// ── Page Snapshot ──────────────────────────────────────────────────────────
+
+/**
+ * Capture the page as it is rendered right now: clean HTML, all CSS and the
+ * title, with every tab/disclosure panel opened unless `panels` is "off" and
+ * lazy content scrolled into the DOM unless `scrollPass` is off.
+ * Referenced images/fonts are downloaded when `downloadAssets` is on.
+ * settleMs is how long the page took to settle before this snapshot.
+ *
+ * root: selector of the one element to capture (an open overlay) instead of
+ * the whole body.
+ */
+async function snapshotPage(crawler, page, requestContext, { root = null } = {}) {
+  const settleMs = crawler.lastSettleMs.get(page) ?? null;
+  if (crawler.config.scrollPass) await revealLazyContent(crawler, page, root);
+  if (crawler.config.panels !== "off") await capturePanels(crawler, page, root);
+
+  const [html, cssBlocks, assetUrls] = await Promise.all([
+    extractCleanHTML(page, crawler.config.panels, root),
+    extractAllCSS(page),
+    extractAssetUrls(page),
+  ]);
+  const title = await page.title();
+
+  if (crawler.config.downloadAssets) {
+    await downloadPageAssets(crawler, page, requestContext, assetUrls, cssBlocks);
+  }
+
+  return { title, html, css: cssBlocks.map(block => block.css).join("\n\n"), cssBlocks, settleMs };
+}
 
 // ── Content fingerprinting ──────────────────────────────────────────────────
 
@@ -331,17 +1734,113 @@ async function getContentFingerprint(page) {
   });
 }
 
+// ── Near-duplicate detection ───────────────────────────────────────────────
+
+// Shingle width (words / DOM tokens) and bottom-k sketch size of a signature
+const SHINGLE_SIZE = 4;
+const SKETCH_SIZE = 256;
+// Text carries most of the weight; structure separates same-text layouts
+const TEXT_WEIGHT = 0.7;
+
+/**
+ * Similarity signature of the page's main content region (the `root`
+ * selector if given, else main/[role=main], else body, minus nav, sidebar,
+ * header and footer chrome):
+ *   text:      bottom-k sketch of hashed word shingles
+ *   structure: bottom-k sketch of hashed shingles of the element sequence
+ *              (tag + depth, in document order)
+ * Two sketches estimate the Jaccard similarity of the full shingle sets, so
+ * a changed timestamp barely moves the score while a different page that
+ * shares a header still scores low.
+ */
+async function getContentSignature(page, root = null) {
+  return await page.evaluate(({ shingleSize, sketchSize, root }) => {
+    const chrome = "nav, aside, header, footer, [role='navigation'], [class*='sidebar'], [class*='Sidebar'], " +
+      "script, style, noscript, template, svg";
+    const region = (root && document.querySelector(root)) || document.querySelector("main, [role='main']") || document.body;
+
+    // FNV-1a, 32 bit
+    const hash = (s) => {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+      }
+      return h >>> 0;
+    };
+    const sketch = (tokens) => {
+      const hashes = new Set();
+      if (tokens.length > 0 && tokens.length < shingleSize) hashes.add(hash(tokens.join(" ")));
+      for (let i = 0; i + shingleSize <= tokens.length; i++) {
+        hashes.add(hash(tokens.slice(i, i + shingleSize).join(" ")));
+      }
+      return [...hashes].sort((a, b) => a - b).slice(0, sketchSize);
+    };
+
+    const words = [];
+    const elements = [];
+    const walk = (el, depth) => {
+      for (const node of el.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          for (const word of node.textContent.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+            if (word) words.push(word);
+          }
+        } else if (node.nodeType === Node.ELEMENT_NODE && !node.matches(chrome)) {
+          elements.push(`${node.tagName.toLowerCase()}@${depth}`);
+          walk(node, depth + 1);
+        }
+      }
+    };
+    walk(region, 0);
+
+    return { text: sketch(words), structure: sketch(elements) };
+  }, { shingleSize: SHINGLE_SIZE, sketchSize: SKETCH_SIZE, root });
+}
+
+/** Estimated Jaccard similarity of two bottom-k sketches (0..1). */
+function sketchSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+  const inA = new Set(a);
+  const inB = new Set(b);
+  const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, SKETCH_SIZE);
+  return union.filter(h => inA.has(h) && inB.has(h)).length / union.length;
+}
+
+function signatureSimilarity(a, b) {
+  const text = sketchSimilarity(a.text, b.text);
+  const structure = sketchSimilarity(a.structure, b.structure);
+  return { score: TEXT_WEIGHT * text + (1 - TEXT_WEIGHT) * structure, text, structure };
+}
+
+/**
+ * The captured route most similar to `signature`, if it reaches the
+ * `duplicateThreshold` setting: { route, score, text, structure }, else null.
+ */
+function findNearDuplicate(crawler, signature) {
+  let best = null;
+  for (const route of crawler.capturedRoutes.values()) {
+    if (!route._signature) continue;
+    const similarity = signatureSimilarity(signature, route._signature);
+    if (!best || similarity.score > best.score) best = { route, ...similarity };
+  }
+  return best && best.score >= crawler.config.duplicateThreshold ? best : null;
+}
+
+/** Skip reason for a near-duplicate: the score, its parts and the matched page. */
+function describeDuplicate(match) {
+  const pct = (n) => `${(n * 100).toFixed(1)}%`;
+  return `near-duplicate of ${match.route.key}: ${pct(match.score)} similar ` +
+    `(text ${pct(match.text)}, structure ${pct(match.structure)})`;
+}
+
 /**
  * Derive a route key from a sidebar button's text label.
  * e.g., "palette Colors" → "#/colors", "widgets Components" → "#/components"
  */
-function labelToRouteKey(label) {
-  // Skip known non-navigation labels
-  const skipPatterns = [
-    /collapse/i, /expand/i, /search/i, /close/i, /toggle/i,
-    /menu/i, /hamburger/i, /settings/i,
-  ];
-  if (skipPatterns.some(p => p.test(label))) return null;
+function labelToRouteKey(crawler, label) {
+  // Skip known non-navigation labels (config: navSkipLabels)
+  if (crawler.config.navSkipLabels.some(p => p.test(label))) return null;
 
   // Strip icon prefixes. Three formats:
   // 1. "palette Colors" (lowercase icon + space + Label)
@@ -396,9 +1895,9 @@ function labelToComponentDetailRouteKey(label) {
  * Get slug from a button/label for content-only route derivation.
  * "Button", "Tab 1" → "button", "tab-1"
  */
-function labelToSlug(label) {
+function labelToSlug(crawler, label) {
   if (!label || typeof label !== "string") return null;
-  const k = labelToRouteKey(label);
+  const k = labelToRouteKey(crawler, label);
   if (!k) return null;
   return k.replace(/^#\/?|\/$/g, "") || null;
 }
@@ -407,10 +1906,10 @@ function labelToSlug(label) {
  * Derive route key when URL didn't change but content did (e.g. click opened a panel/tab).
  * Puts the new "page" under the current route: fromKey "#/overview" + "Usage" → "#/overview/usage"
  */
-function deriveContentRouteKey(fromKey, label) {
-  const slug = labelToSlug(label);
+function deriveContentRouteKey(crawler, fromKey, label) {
+  const slug = labelToSlug(crawler, label);
   if (!slug) return null;
-  const base = (fromKey || "/").replace(/\/+$/, "").trim();
+  const base = (fromKey || "/").split("?")[0].replace(/\/+$/, "").trim();
   const prefix = base.startsWith("#") ? "#/" : "/";
   const path = base.replace(/^#\/?|\/+$/g, "") || "";
   if (!path) return prefix + slug;
@@ -443,81 +1942,332 @@ function cleanLabelForBreadcrumb(label) {
  */
 function keyToDefaultLabel(key) {
   if (!key || key === "/") return "Overview";
-  const path = key.replace(/^#\/?|\/+$/g, "").trim();
-  if (!path) return "Overview";
+  const [routePath, query] = key.split("?");
+  // "#/button?variant=primary" → "Button (variant: primary)"
+  const suffix = query
+    ? ` (${[...new URLSearchParams(query)].map(([k, v]) => `${k}: ${v}`).join(", ")})`
+    : "";
+  const path = routePath.replace(/^#\/?|\/+$/g, "").trim();
+  if (!path) return "Overview" + suffix;
   const segments = path.split("/").filter(Boolean);
   return segments
     .map(seg => seg.replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase()))
-    .join("/");
+    .join("/") + suffix;
+}
+
+// ── Seed sidebar routes (guarantee main nav pages are in the queue) ───────
+
+/**
+ * Collect sidebar/nav button labels directly from the page.
+ * Works even when there is no <nav>, no <a href>, no role=navigation —
+ * just plain <button> elements with text like "home Overview", "palette Colors", etc.
+ *
+ * Strategy: find ALL buttons on the page whose text (after stripping icon prefixes)
+ * matches a known base-page keyword. Return them as { label } items.
+ */
+async function seedSidebarRoutesFromPage(crawler, page) {
+  const items = await page.evaluate((navKeywords) => {
+    const results = [];
+    const seen = new Set();
+    // Collect from buttons AND links
+    const elements = document.querySelectorAll("button, a[href]");
+    elements.forEach((el) => {
+      const rawText = (el.textContent || "").trim().replace(/\s+/g, " ");
+      if (rawText.length === 0 || rawText.length > 80) return;
+      // Strip icon prefix: "home Overview" → "Overview", "palette Colors" → "Colors"
+      const cleaned = rawText.replace(/^[a-z_]+\s+/i, "").trim();
+      const lower = (cleaned || rawText).toLowerCase();
+      const hasNavKeyword = navKeywords.some(kw => lower === kw || lower.includes(kw));
+      if (!hasNavKeyword) return;
+      // Avoid duplicates and non-nav items
+      const dedup = cleaned.toLowerCase();
+      if (seen.has(dedup)) return;
+      seen.add(dedup);
+      // Get href if it's a link
+      let href = null;
+      if (el.tagName === "A") href = el.getAttribute("href");
+      const step = window.__crawlerLocator ? window.__crawlerLocator.describe(el) : { text: rawText };
+      results.push({ rawText, cleaned, href, step });
+    });
+    return results;
+  }, crawler.config.navKeywords);
+
+  crawler.log(`    🔎 seedSidebarRoutesFromPage found ${items.length} nav items: ${items.map(i => i.cleaned).join(", ")}`);
+
+  const base = crawler.config.url.replace(/\/$/, "");
+  const results = [];
+  const seenKeys = new Set();
+  for (const { rawText, cleaned, href, step } of items) {
+    let key = null;
+    if (href && href.startsWith("#")) {
+      const u = new URL(base);
+      u.hash = href;
+      key = routeKey(crawler, u.href);
+    } else if (href && !href.startsWith("http") && !href.startsWith("//")) {
+      try { key = routeKey(crawler, new URL(href, base).href); } catch {}
+    }
+    if (!key) {
+      key = labelToRouteKey(crawler, rawText);
+    }
+    if (key && !seenKeys.has(key)) {
+      seenKeys.add(key);
+      results.push({
+        key,
+        url: `${base}${key}`,
+        label: cleanLabelForBreadcrumb(cleaned || rawText),
+        buttonText: rawText,
+        step, // locator to find the button again later
+      });
+    }
+  }
+  return results;
+}
+
+// ── Router introspection (exact route keys from the running app) ─────────
+
+/**
+ * Runs inside the page. Reads React Router's route table instead of guessing
+ * keys from button labels. Sources, merged in this order:
+ *   - data routers (createBrowserRouter/createHashRouter): router.routes,
+ *     found on DataRouterContext in the fiber tree or on a window global
+ *   - framework manifests: window.__reactRouterManifest / __remixManifest
+ *   - <Routes> elements in the fiber tree: their <Route> children never
+ *     render as fibers, so the path props are read off the element tree
+ * Returns null when no router is found, else { sources, routes, dynamic }
+ * where routes are { url, path, title, label } and dynamic lists the
+ * parameterised paths (":id", "*") that can't be enumerated.
+ */
+function readRouterTable() {
+  const sources = [];
+  const table = [];
+  let navigator = null;
+  let basename = "";
+
+  const join = (parent, child) => {
+    if (child == null || child === "") return parent;
+    if (child.startsWith("/")) return child;
+    return parent.replace(/\/+$/, "") + "/" + child;
+  };
+  const titleOf = (route) => {
+    const handle = route.handle || {};
+    for (const value of [handle.title, handle.label, handle.crumb]) {
+      if (typeof value === "string" && value.trim()) return value.trim();
+    }
+    return null;
+  };
+  // Flatten a route tree to { path, title, label }, label being the breadcrumb
+  const addRoutes = (routes, parentPath, parentLabel) => {
+    for (const route of routes || []) {
+      if (!route || typeof route !== "object") continue;
+      const fullPath = route.index ? parentPath : join(parentPath, route.path);
+      const title = titleOf(route);
+      const label = title ? (parentLabel ? `${parentLabel}/${title}` : title) : parentLabel;
+      if (route.index || route.path != null) table.push({ path: fullPath || "/", title, label: title ? label : null });
+      addRoutes(route.children, fullPath, label);
+    }
+  };
+  // <Route> elements → route objects, like createRoutesFromChildren()
+  const elementsToRoutes = (children) => {
+    const routes = [];
+    const visit = (child) => {
+      if (Array.isArray(child)) return child.forEach(visit);
+      if (!child || typeof child !== "object" || !child.props) return;
+      const props = child.props;
+      if (typeof child.type === "symbol") return visit(props.children); // <Fragment>
+      if (typeof child.type !== "function") return;
+      if (!("path" in props) && !props.index && !("element" in props) && !("Component" in props)) return;
+      routes.push({ path: props.path, index: props.index, handle: props.handle, children: elementsToRoutes(props.children) });
+    };
+    visit(children);
+    return routes;
+  };
+
+  // Exposed router objects
+  for (const name of ["__reactRouterDataRouter", "__remixRouter", "router"]) {
+    const router = window[name];
+    if (router && Array.isArray(router.routes) && typeof router.navigate === "function") {
+      sources.push(`window.${name}`);
+      addRoutes(router.routes, "", null);
+      navigator = navigator || router;
+      basename = router.basename || basename;
+    }
+  }
+  for (const name of ["__reactRouterManifest", "__remixManifest"]) {
+    const manifest = window[name];
+    if (!manifest || !manifest.routes) continue;
+    sources.push(`window.${name}`);
+    const byParent = new Map();
+    for (const route of Object.values(manifest.routes)) {
+      const siblings = byParent.get(route.parentId) || [];
+      siblings.push(route);
+      byParent.set(route.parentId, siblings);
+    }
+    const build = (parentId) => (byParent.get(parentId) || []).map(r => ({ ...r, children: build(r.id) }));
+    addRoutes(build(undefined), "", null);
+  }
+
+  // Fiber tree, from the React root container
+  let root = null;
+  for (const el of document.querySelectorAll("body, body > *, #root, #app")) {
+    const key = Object.keys(el).find(k => k.startsWith("__reactContainer$"));
+    const hostRoot = key ? el[key] : el._reactRootContainer && el._reactRootContainer._internalRoot;
+    if (hostRoot) {
+      root = (hostRoot.stateNode && hostRoot.stateNode.current) || hostRoot.current || hostRoot;
+      break;
+    }
+  }
+  if (root) {
+    let foundFiberRoutes = false;
+    // Nested <Routes> are relative to the route they render in: carry its pathnameBase
+    const stack = [[root, ""]];
+    let visited = 0;
+    while (stack.length > 0 && visited++ < 50000) {
+      const [fiber, base] = stack.pop();
+      let childBase = base;
+      const props = fiber.memoizedProps;
+      if (props && typeof props === "object") {
+        const value = props.value;
+        if (value && typeof value === "object") {
+          // DataRouterContext: { router, navigator, basename }
+          if (value.router && Array.isArray(value.router.routes) && !sources.includes("DataRouterContext")) {
+            sources.push("DataRouterContext");
+            addRoutes(value.router.routes, "", null);
+          }
+          // NavigationContext: { navigator, basename }; navigator.createHref knows hash vs. browser URLs
+          if (value.navigator && typeof value.navigator.createHref === "function" && !navigator) {
+            navigator = value.navigator;
+            basename = value.basename || "";
+          }
+          // RouteContext: { matches } — the route this subtree renders in
+          if (Array.isArray(value.matches) && value.matches.length > 0) {
+            childBase = value.matches[value.matches.length - 1].pathnameBase || base;
+          }
+        }
+        if (props.children && typeof fiber.type === "function") {
+          const routes = elementsToRoutes(props.children);
+          if (routes.length > 0) {
+            foundFiberRoutes = true;
+            addRoutes(routes, childBase === "/" ? "" : childBase, null);
+          }
+        }
+      }
+      if (fiber.sibling) stack.push([fiber.sibling, base]);
+      if (fiber.child) stack.push([fiber.child, childBase]);
+    }
+    if (foundFiberRoutes) sources.push("<Route> elements");
+  }
+
+  if (sources.length === 0) return null;
+
+  const anchorText = new Map();
+  document.querySelectorAll("a[href]").forEach((a) => {
+    const text = (a.textContent || "").trim().replace(/\s+/g, " ");
+    if (text && text.length <= 80 && !anchorText.has(a.href)) anchorText.set(a.href, text);
+  });
+  const hashRouting = location.hash.startsWith("#/");
+  const toHref = (routePath) => {
+    const pathname = basename && basename !== "/" ? join(basename, routePath.replace(/^\//, "")) : routePath;
+    if (navigator) {
+      try {
+        return navigator.createHref({ pathname, search: "", hash: "" });
+      } catch {}
+    }
+    return hashRouting ? `#${pathname}` : pathname;
+  };
+
+  const routes = [];
+  const dynamic = [];
+  const seen = new Set();
+  for (const { path: routePath, title, label } of table) {
+    if (seen.has(routePath)) continue;
+    seen.add(routePath);
+    if (/[:*]/.test(routePath)) {
+      dynamic.push(routePath);
+      continue;
+    }
+    const url = new URL(toHref(routePath), location.href).href;
+    routes.push({ url, path: routePath, title: title || anchorText.get(url) || null, label });
+  }
+  return { sources, routes, dynamic };
+}
+
+/**
+ * Seed exact routes from the app's router (see readRouterTable). Returns
+ * [{ key, url, label }] for routes not discovered yet; titles fill navMap
+ * so the label heuristics are only needed for routes the router doesn't list.
+ * Returns [] when the page exposes no router.
+ */
+async function seedRouterRoutes(crawler, page) {
+  const table = await page.evaluate(readRouterTable).catch(() => null);
+  if (!table) return [];
+
+  const results = [];
+  for (const { url, title, label } of table.routes) {
+    const key = routeKey(crawler, url);
+    if (!key) continue;
+    if ((label || title) && !crawler.navMap.get(key)?.exact) {
+      crawler.navMap.set(key, { label: label || title, exact: true });
+    }
+    if (crawler.discoveredRoutes.has(key)) continue;
+    crawler.discoveredRoutes.add(key);
+    results.push({ key, url, label: label || title || keyToDefaultLabel(key) });
+  }
+  for (const routePath of table.dynamic) {
+    crawler.skip("route", routePath, "router path has parameters and can't be enumerated");
+  }
+  if (results.length > 0) {
+    crawler.log(`    🧭 Router (${table.sources.join(", ")}) lists ${results.length} new routes: ${results.map(r => r.key).join(", ")}`);
+  }
+  return results;
 }
 
-// ── Seed sidebar routes (guarantee main nav pages are in the queue) ───────
+// ── Supplied seeds (sitemap.xml, route lists, previous manifest) ──────────
 
-const BASE_NAV_KEYWORDS = [
-  "overview", "colors", "typography", "spacing", "components", "iconography", "navigation",
-  "home", "about", "docs", "guide", "api"
-];
+async function readSeedSource(crawler, requestContext, source) {
+  if (!isRemote(source)) return fs.readFile(path.resolve(source), "utf-8");
+  const response = await requestContext.get(source, { timeout: crawler.config.pageTimeout });
+  if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+  return response.text();
+}
 
 /**
- * Collect sidebar/nav button labels directly from the page.
- * Works even when there is no <nav>, no <a href>, no role=navigation —
- * just plain <button> elements with text like "home Overview", "palette Colors", etc.
- *
- * Strategy: find ALL buttons on the page whose text (after stripping icon prefixes)
- * matches a known base-page keyword. Return them as { label } items.
+ * Load every source in the `seeds` setting and resolve its routes against
+ * the site URL. Returns [{ key, url, label }]; routes on other hosts are
+ * reported as skipped, unreadable sources as warnings.
  */
-async function seedSidebarRoutesFromPage(page) {
-  const items = await page.evaluate((navKeywords) => {
-    const results = [];
-    const seen = new Set();
-    // Collect from buttons AND links
-    const elements = document.querySelectorAll("button, a[href]");
-    elements.forEach((el) => {
-      const rawText = (el.textContent || "").trim().replace(/\s+/g, " ");
-      if (rawText.length === 0 || rawText.length > 80) return;
-      // Strip icon prefix: "home Overview" → "Overview", "palette Colors" → "Colors"
-      const cleaned = rawText.replace(/^[a-z_]+\s+/i, "").trim();
-      const lower = (cleaned || rawText).toLowerCase();
-      const hasNavKeyword = navKeywords.some(kw => lower === kw || lower.includes(kw));
-      if (!hasNavKeyword) return;
-      // Avoid duplicates and non-nav items
-      const dedup = cleaned.toLowerCase();
-      if (seen.has(dedup)) return;
-      seen.add(dedup);
-      // Get href if it's a link
-      let href = null;
-      if (el.tagName === "A") href = el.getAttribute("href");
-      results.push({ rawText, cleaned, href });
-    });
-    return results;
-  }, BASE_NAV_KEYWORDS);
-
-  console.log(`    🔎 seedSidebarRoutesFromPage found ${items.length} nav items: ${items.map(i => i.cleaned).join(", ")}`);
-
-  const base = BASE_URL.replace(/\/$/, "");
+async function loadSuppliedSeeds(crawler, requestContext) {
   const results = [];
   const seenKeys = new Set();
-  for (const { rawText, cleaned, href } of items) {
-    let key = null;
-    if (href && href.startsWith("#")) {
-      const u = new URL(base);
-      u.hash = href;
-      key = routeKey(u.href);
-    } else if (href && !href.startsWith("http") && !href.startsWith("//")) {
-      try { key = routeKey(new URL(href, base).href); } catch {}
-    }
-    if (!key) {
-      key = labelToRouteKey(rawText);
+  for (const source of crawler.config.seeds) {
+    let seeds;
+    try {
+      seeds = await loadSeeds(source, s => readSeedSource(crawler, requestContext, s));
+    } catch (err) {
+      crawler.warn(`Could not read seeds from ${source}: ${err.message}`);
+      continue;
     }
-    if (key && !seenKeys.has(key)) {
+
+    let added = 0;
+    for (const { route, label } of seeds) {
+      let url;
+      try {
+        // "#/colors" keeps the site URL and swaps the hash; "/about" is host-relative
+        url = new URL(route, crawler.config.url);
+      } catch {
+        crawler.skip("route", route, `not a valid route (from ${source})`);
+        continue;
+      }
+      if (!isInternalUrl(crawler, url.href)) {
+        crawler.skip("route", route, `not on ${new URL(crawler.config.url).hostname} (from ${source})`);
+        continue;
+      }
+      const key = routeKey(crawler, url.href);
+      if (!key || seenKeys.has(key)) continue;
       seenKeys.add(key);
-      results.push({
-        key,
-        url: `${base}${key}`,
-        label: cleanLabelForBreadcrumb(cleaned || rawText),
-        buttonText: rawText, // exact text to find the button later
-      });
+      results.push({ key, url: url.href, label });
+      added++;
     }
+    crawler.log(`  📄 ${added} routes from ${source}`);
   }
   return results;
 }
@@ -526,27 +2276,32 @@ async function seedSidebarRoutesFromPage(page) {
 
 /**
  * Collect all clickable labels (buttons, links, cards) from the current page.
- * Returns an array of { text, cleaned } strings — no element handles stored.
- * This is safe across navigations: we re-find the element by text each time.
+ * Returns an array of { text, shortLabel, step } — no element handles stored.
+ * `step` is the element's locator (see installClickLocator), so it is safe
+ * across navigations: we re-find the element from it each time.
+ * With skipPanelControls, content tabs and disclosure toggles are left out.
  */
 const CLICKABLE_QUERY = "button, a[href], [role='button'], [role='tab'], [tabindex='0'], [class*='cursor-pointer']";
 
-async function collectClickableLabels(page) {
-  return await page.evaluate((clickableQuery) => {
+async function collectClickableLabels(page, skipPanelControls = false) {
+  return await page.evaluate(({ clickableQuery, skipPanelControls, chrome }) => {
     const results = [];
     const seen = new Set();
-    const skipPatterns = /collapse|search design|view ai|^copy$/i;
+    const describe = (el, text) => window.__crawlerLocator ? window.__crawlerLocator.describe(el) : { text };
+    // Content tabs and disclosures are captured inline by capturePanels()
+    const isPanelControl = (el) => skipPanelControls && !el.closest(chrome) &&
+      (el.closest("[role='tab'], summary") !== null || (el.matches("[aria-expanded]") && !el.hasAttribute("aria-haspopup")));
 
     // Gather from standard clickable elements
     document.querySelectorAll(clickableQuery).forEach((el) => {
+      if (isPanelControl(el)) return;
       const raw = (el.textContent || "").trim().replace(/\s+/g, " ");
       if (raw.length === 0 || raw.length > 200) return;
-      if (skipPatterns.test(raw)) return;
       if (seen.has(raw)) return;
       seen.add(raw);
       const heading = el.querySelector("h1, h2, h3, h4");
       const shortLabel = heading ? (heading.textContent || "").trim().replace(/\s+/g, " ") : null;
-      results.push({ text: raw, shortLabel });
+      results.push({ text: raw, shortLabel, step: describe(el, raw) });
     });
 
     // Also look for "card-like" divs: elements that have an h3 inside and look clickable
@@ -569,42 +2324,28 @@ async function collectClickableLabels(page) {
       if (!hasBorder && !hasRounded && !hasArrow && !hasCursor) return;
       seen.add(raw);
       const shortLabel = (h3.textContent || "").trim().replace(/\s+/g, " ");
-      results.push({ text: raw, shortLabel: shortLabel || null });
+      results.push({ text: raw, shortLabel: shortLabel || null, step: describe(el, raw) });
     });
 
     return results;
-  }, CLICKABLE_QUERY);
+  }, { clickableQuery: CLICKABLE_QUERY, skipPanelControls, chrome: PANEL_CHROME });
 }
 
 /**
- * Find and click a button/link by its text content.
- * Re-queries the DOM each time so we never use stale handles.
- * Returns true if the element was found and clicked.
+ * Find and click the element a click step describes (see installClickLocator);
+ * a plain string is treated as the element's text. Re-queries the DOM each
+ * time so we never use stale handles.
+ * Returns how the element was found ("test id", "role + name", "css path",
+ * "text"), or null if it wasn't.
  */
-async function clickByText(page, text) {
-  const clicked = await page.evaluate(({ targetText, clickableQuery }) => {
-    // First try standard clickable elements
-    const elements = document.querySelectorAll(clickableQuery);
-    for (const el of elements) {
-      const t = (el.textContent || "").trim().replace(/\s+/g, " ");
-      if (t === targetText) {
-        el.click();
-        return true;
-      }
-    }
-    // Then try card-like divs (with h3 inside)
-    const divs = document.querySelectorAll("div");
-    for (const el of divs) {
-      if (!el.querySelector("h3")) continue;
-      const t = (el.textContent || "").trim().replace(/\s+/g, " ");
-      if (t === targetText) {
-        el.click();
-        return true;
-      }
-    }
-    return false;
-  }, { targetText: text, clickableQuery: CLICKABLE_QUERY });
-  return clicked;
+async function clickStep(page, step) {
+  const target = typeof step === "string" ? { text: step } : step;
+  return await page.evaluate((target) => {
+    const found = window.__crawlerLocator && window.__crawlerLocator.find(target);
+    if (!found) return null;
+    found.el.click();
+    return found.via;
+  }, target);
 }
 
 /**
@@ -619,24 +2360,53 @@ async function clickByText(page, text) {
  *
  * Builds a breadcrumb trail from the path of clicks: e.g. "Components/Badge".
  *
- * Returns an array of newly discovered route URLs.
+ * Returns { newRouteUrls, clickedRoutes }: newly discovered route URLs, and the
+ * routes captured here by clicking ({ key, url, text, urlChanged, clickPath })
+ * so the caller can queue them for their own expansion.
+ *
+ * Labels and routes the crawl rules leave out are reported via crawler.skip().
  *
  * navigateToFromPage: async function that navigates the page back to the "from" page.
- * excludeLabels: Set of button texts to skip (e.g. sidebar base-page buttons when crawling sub-pages).
+ * sidebarLabels: Set of button texts to skip (e.g. sidebar base-page buttons when crawling sub-pages).
  */
-async function discoverAndCapture(page, requestContext, fromKey, fromBreadcrumb, navigateToFromPage, excludeLabels) {
+async function discoverAndCapture(crawler, page, requestContext, fromKey, fromBreadcrumb, navigateToFromPage, sidebarLabels) {
   const newRouteUrls = [];
-  const effectiveBreadcrumb = fromBreadcrumb != null ? fromBreadcrumb : (navMap.get(fromKey)?.label ?? keyToDefaultLabel(fromKey));
+  const clickedRoutes = [];
+  const fromDepth = crawler.capturedRoutes.get(fromKey)?.depth ?? 0;
+  const effectiveBreadcrumb = fromBreadcrumb != null ? fromBreadcrumb : (crawler.navMap.get(fromKey)?.label ?? keyToDefaultLabel(fromKey));
   const isTopLevel = !fromKey || fromKey === "/" || fromKey === "#/" || fromKey === "#";
 
-  // Helper: go back to the "from" page (reload + click sidebar button if needed)
-  async function goBackToFromPage() {
+  // The "from" page as it was before any click, so a cheap return can be verified
+  let originUrl = null;
+  let originFingerprint = null;
+
+  // Helper: go back to the "from" page — close the overlay the click opened,
+  // or history.back() when the click changed the URL, as long as that restores
+  // the same content; else reload + click sidebar button
+  async function goBackToFromPage(overlay = null) {
+    const stats = crawler.returnStats;
+    const started = Date.now();
+    if (overlay && originFingerprint && await closeOverlay(crawler, page, overlay.marker) &&
+        (await getContentFingerprint(page)) === originFingerprint) {
+      stats.closed++;
+      stats.closedMs += Date.now() - started;
+      return;
+    }
+    if (crawler.config.fastReturn && originFingerprint &&
+        await returnByHistory(crawler, page, originUrl, originFingerprint)) {
+      stats.history++;
+      stats.historyMs += Date.now() - started;
+      return;
+    }
+    const reloadStarted = Date.now();
+    stats.failedMs += reloadStarted - started;
     if (navigateToFromPage) {
       await navigateToFromPage();
     } else {
-      await safeGoto(page, BASE_URL).catch(() => {});
-      await page.waitForTimeout(RENDER_DELAY);
+      await safeGoto(crawler, page, crawler.config.url).catch(() => {});
     }
+    stats.reloads++;
+    stats.reloadMs += Date.now() - reloadStarted;
   }
 
   // 1. Scan all <a href="..."> including hash links → just collect URLs
@@ -648,34 +2418,43 @@ async function discoverAndCapture(page, requestContext, fromKey, fromBreadcrumb,
 
   for (const { href, rawHref } of hrefs) {
     if (rawHref && rawHref.startsWith("#")) {
-      const fullUrl = new URL(BASE_URL);
+      const fullUrl = new URL(crawler.config.url);
       fullUrl.hash = rawHref;
-      const key = routeKey(fullUrl.href);
-      if (key && !discoveredRoutes.has(key) && !capturedRoutes.has(key)) {
-        discoveredRoutes.add(key);
+      const key = routeKey(crawler, fullUrl.href);
+      if (key && !crawler.discoveredRoutes.has(key) && !crawler.capturedRoutes.has(key)) {
+        crawler.discoveredRoutes.add(key);
         newRouteUrls.push(fullUrl.href);
       }
       continue;
     }
-    if (href && isInternalUrl(href)) {
-      const key = routeKey(href);
-      if (key && !discoveredRoutes.has(key) && !capturedRoutes.has(key)) {
-        discoveredRoutes.add(key);
+    if (href && isInternalUrl(crawler, href)) {
+      const key = routeKey(crawler, href);
+      if (key && !crawler.discoveredRoutes.has(key) && !crawler.capturedRoutes.has(key)) {
+        crawler.discoveredRoutes.add(key);
         newRouteUrls.push(href);
       }
     }
   }
 
   // 2. Collect all clickable labels from the current page (just text, no handles)
-  const allLabels = await collectClickableLabels(page);
-  const contentFingerprint = await getContentFingerprint(page);
+  const allLabels = await collectClickableLabels(page, crawler.config.panels !== "off");
+  originUrl = page.url();
+  originFingerprint = await getContentFingerprint(page);
 
-  console.log(`    📍 Found ${newRouteUrls.length} href routes + ${allLabels.length} clickable labels`);
+  crawler.log(`    📍 Found ${newRouteUrls.length} href routes + ${allLabels.length} clickable labels`);
 
   // 3. Click each label, check content, capture if changed
-  for (const { text, shortLabel } of allLabels) {
+  for (const { text, shortLabel, step } of allLabels) {
+    if (crawler.capturedRoutes.size + crawler.claimedRoutes.size >= crawler.config.maxPages) break;
+
     // Skip sidebar base-page buttons when crawling sub-pages
-    if (excludeLabels && excludeLabels.has(text)) continue;
+    if (sidebarLabels && sidebarLabels.has(text)) continue;
+
+    const labelReason = labelSkipReason(crawler, text, shortLabel);
+    if (labelReason) {
+      crawler.skip("label", text, labelReason);
+      continue;
+    }
 
     // Use shortLabel (heading text) for route key derivation when available
     const labelForKey = shortLabel || text;
@@ -683,22 +2462,28 @@ async function discoverAndCapture(page, requestContext, fromKey, fromBreadcrumb,
     // Skip labels we know are already captured
     const cleaned = cleanLabelForBreadcrumb(labelForKey);
     const potentialKey = isTopLevel
-      ? labelToRouteKey(labelForKey)
-      : deriveContentRouteKey(fromKey, labelForKey);
-    if (potentialKey && capturedRoutes.has(potentialKey)) continue;
+      ? labelToRouteKey(crawler, labelForKey)
+      : deriveContentRouteKey(crawler, fromKey, labelForKey);
+    if (potentialKey && (crawler.capturedRoutes.has(potentialKey) || crawler.claimedRoutes.has(potentialKey))) continue;
 
     // Click the element by finding it fresh in the DOM
     const urlBefore = page.url();
     const contentBefore = await getContentFingerprint(page);
+    const routeMark = await routeLogMark(page);
+    if (crawler.config.overlays !== "off") await markKnownOverlays(page);
 
-    const didClick = await clickByText(page, text);
+    const didClick = await clickStep(page, step);
     if (!didClick) continue;
 
-    await page.waitForTimeout(1500);
+    await waitForSettled(crawler, page);
 
-    let urlAfter, contentAfter;
+    let urlAfter, contentAfter, transition;
     try {
-      urlAfter = page.url();
+      // Prefer the router's own last pushState/replaceState/popstate — it is
+      // the path the app settled on, even if it was rewritten mid-transition
+      const transitions = await routeTransitionsSince(page, routeMark);
+      transition = transitions[transitions.length - 1];
+      urlAfter = transition ? transition.url : page.url();
       contentAfter = await getContentFingerprint(page);
     } catch (err) {
       // Page might have hard-navigated; go back to from page and continue
@@ -706,87 +2491,100 @@ async function discoverAndCapture(page, requestContext, fromKey, fromBreadcrumb,
       continue;
     }
 
-    const urlChanged = urlAfter !== urlBefore;
+    const urlChanged = routeKey(crawler, urlAfter) !== routeKey(crawler, urlBefore);
     const contentChanged = contentAfter !== contentBefore;
+    // A dialog, drawer or popover opened over the page (the URL stays put)
+    const overlay = !urlChanged && crawler.config.overlays !== "off" ? await findNewOverlay(page) : null;
 
-    if (!urlChanged && !contentChanged) continue; // click did nothing
+    if (!urlChanged && !contentChanged && !overlay) continue; // click did nothing
+
+    if (overlay && crawler.config.overlays === "section") {
+      const name = overlay.name || cleanLabelForBreadcrumb(labelForKey);
+      const snapshot = await snapshotPage(crawler, page, requestContext, { root: `[data-crawler-overlay="${overlay.marker}"]` });
+      const id = attachOverlaySection(crawler, fromKey, name, snapshot);
+      if (id) crawler.log(`    🪟 Captured dialog "${name}" as ${fromKey}#${id}`);
+      await goBackToFromPage(overlay);
+      continue;
+    }
 
     // Determine the route key (use shortLabel/heading for clean slugs)
     let key;
     if (urlChanged) {
-      key = routeKey(urlAfter);
+      key = routeKey(crawler, urlAfter);
     } else {
       const isFromComponentsListing = fromKey && (
         fromKey === "#/components" || fromKey === "/components"
       );
       if (isFromComponentsListing) {
-        key = labelToComponentDetailRouteKey(labelForKey) || labelToRouteKey(labelForKey);
+        key = labelToComponentDetailRouteKey(labelForKey) || labelToRouteKey(crawler, labelForKey);
       } else if (isTopLevel) {
-        key = labelToRouteKey(labelForKey);
+        key = labelToRouteKey(crawler, labelForKey);
       } else {
-        key = deriveContentRouteKey(fromKey, labelForKey) || labelToRouteKey(labelForKey);
+        key = deriveContentRouteKey(crawler, fromKey, labelForKey) || labelToRouteKey(crawler, labelForKey);
       }
     }
 
-    if (!key || capturedRoutes.has(key)) {
+    const routeReason = key && routeSkipReason(crawler, key, fromDepth + 1);
+    if (routeReason) crawler.skip("route", key, routeReason);
+
+    if (!key || routeReason || !claimRoute(crawler, key)) {
       // Navigate back to the "from" page before trying the next label
-      await goBackToFromPage();
+      await goBackToFromPage(overlay);
       continue;
     }
 
-    const displayLabel = cleanLabelForBreadcrumb(labelForKey);
-    const newBreadcrumb = isTopLevel ? displayLabel : (effectiveBreadcrumb + "/" + displayLabel);
-    console.log(`    🔀 Nav click → ${key} (${newBreadcrumb}) (url: ${urlChanged ? "changed" : "same"}, content: ${contentChanged ? "changed" : "same"})`);
-
-    navMap.set(key, { label: newBreadcrumb });
-
-    // Wait for content to fully render
-    await page.waitForTimeout(RENDER_DELAY);
-    await page.waitForSelector("body *", { timeout: 5000 }).catch(() => {});
-
-    // Content fingerprint to detect duplicate content
-    const fingerprint = await getContentFingerprint(page);
-    const duplicateFingerprint = [...capturedRoutes.values()].some(r => r._fingerprint && r._fingerprint === fingerprint);
-    if (duplicateFingerprint) {
-      console.log(`    ⏭️  Skip ${key} — content identical to existing page (fingerprint match)`);
-      await goBackToFromPage();
-      continue;
-    }
+    try {
+      const displayLabel = cleanLabelForBreadcrumb(labelForKey);
+      const newBreadcrumb = isTopLevel ? displayLabel : (effectiveBreadcrumb + "/" + displayLabel);
+      const via = transition ? ` via ${transition.type}` : "";
+      crawler.log(`    🔀 Nav click → ${key} (${newBreadcrumb}) (url: ${urlChanged ? "changed" + via : "same"}, content: ${overlay ? "dialog" : contentChanged ? "changed" : "same"})`);
+
+      // Labels from the router or supplied seeds beat the one built from the click path
+      if (!crawler.navMap.get(key)?.exact) crawler.navMap.set(key, { label: newBreadcrumb });
+
+      // Content settled after the click above; just make sure the body isn't empty
+      await page.waitForSelector("body *", { timeout: 5000 }).catch(() => {});
+
+      // Skip content that (nearly) duplicates a page we already have
+      const root = overlay ? `[data-crawler-overlay="${overlay.marker}"]` : null;
+      const fingerprint = await getContentFingerprint(page);
+      const signature = await getContentSignature(page, root);
+      const duplicate = findNearDuplicate(crawler, signature);
+      if (duplicate) {
+        crawler.skip("route", key, describeDuplicate(duplicate));
+        await goBackToFromPage(overlay);
+        continue;
+      }
 
-    // Capture content
-    const [html, cssBlocks, assetUrls] = await Promise.all([
-      extractCleanHTML(page),
-      extractAllCSS(page),
-      extractAssetUrls(page),
-    ]);
-    const title = await page.title();
+      // Capture content (only the overlay, if the click opened one)
+      const { title, html, css, cssBlocks, settleMs } = await snapshotPage(crawler, page, requestContext, { root });
+      // A route the URL can't reproduce records how to click to it instead
+      const clickPath = urlChanged ? null : extendClickPath(crawler.capturedRoutes.get(fromKey), originUrl, step);
 
-    if (DOWNLOAD_ASSETS) {
-      for (const assetUrl of assetUrls) {
-        await downloadAsset(assetUrl, requestContext);
-      }
-      for (const cssBlock of cssBlocks) {
-        const urlMatches = cssBlock.match(/url\(["']?(https?:\/\/[^"')]+)["']?\)/g) || [];
-        for (const m of urlMatches) {
-          const u = m.replace(/url\(["']?/, "").replace(/["']?\)/, "");
-          await downloadAsset(u, requestContext);
-        }
-      }
+      crawler.recordRoute({
+        key,
+        url: urlAfter,
+        title,
+        html,
+        css,
+        cssBlocks,
+        externalLinks: crawler.siteExternalLinks,
+        newRoutes: [],
+        depth: fromDepth + 1,
+        parent: fromKey,
+        settleMs,
+        clickPath,
+        overlay: !!overlay,
+        _fingerprint: fingerprint,
+        _signature: signature,
+      });
+      // Pages behind an open overlay can't be clicked through, so it isn't expanded further
+      if (!overlay) clickedRoutes.push({ key, url: urlAfter, text, urlChanged, clickPath });
+      crawler.log(`    ✅ Captured ${key} via click (depth ${fromDepth + 1})`);
+    } finally {
+      releaseRoute(crawler, key);
     }
 
-    capturedRoutes.set(key, {
-      key,
-      url: urlChanged ? urlAfter : `${BASE_URL}#/${key.replace(/^#\//, "")}`,
-      title,
-      html,
-      css: cssBlocks.join("\n\n"),
-      externalLinks: siteExternalLinks,
-      newRoutes: [],
-      _fingerprint: fingerprint,
-    });
-    discoveredRoutes.add(key);
-    console.log(`    ✅ Captured ${key} via click`);
-
     // Discover sub-links from this page
     const subHrefs = await page.evaluate(() => {
       return Array.from(document.querySelectorAll("a[href]")).map(a => {
@@ -796,134 +2594,170 @@ async function discoverAndCapture(page, requestContext, fromKey, fromBreadcrumb,
     for (const { href, rawHref } of subHrefs) {
       let fullUrl;
       if (rawHref && rawHref.startsWith("#")) {
-        fullUrl = new URL(BASE_URL);
+        fullUrl = new URL(crawler.config.url);
         fullUrl.hash = rawHref;
-      } else if (href && isInternalUrl(href)) {
+      } else if (href && isInternalUrl(crawler, href)) {
         fullUrl = new URL(href);
       }
       if (fullUrl) {
-        const k = routeKey(fullUrl.href);
-        if (k && !discoveredRoutes.has(k)) {
-          discoveredRoutes.add(k);
+        const k = routeKey(crawler, fullUrl.href);
+        if (k && !crawler.discoveredRoutes.has(k)) {
+          crawler.discoveredRoutes.add(k);
           newRouteUrls.push(fullUrl.href);
         }
       }
     }
 
     // Navigate back to the "from" page so we can click the next label
-    await goBackToFromPage();
+    await goBackToFromPage(overlay);
   }
 
-  return newRouteUrls;
+  return { newRouteUrls, clickedRoutes };
+}
+
+/**
+ * Undo a click's route change with history.back() (which also undoes a hash
+ * change) and check the page is on `originUrl` showing the origin content
+ * again. Returns false when the click didn't change the URL or the page ends
+ * up anywhere else — the caller then falls back to a full reload.
+ */
+async function returnByHistory(crawler, page, originUrl, originFingerprint) {
+  if (page.url() === originUrl) return false;
+  try {
+    await page.evaluate(() => history.back());
+    await waitForSettled(crawler, page);
+    if (page.url() !== originUrl) return false;
+    return (await getContentFingerprint(page)) === originFingerprint;
+  } catch {
+    // history.back() left the document (the click was a full navigation)
+    return false;
+  }
 }
 
 // ── Page Capture (for routes not captured via click) ────────────────────────
 
 /**
- * Navigate to a specific route and capture the rendered content.
+ * Bring the page to a URL route's rendered state.
  *
  * Strategy (in order):
  *   1. Full page.goto(url) — works when SPA reads hash on load
  *   2. Click matching sidebar item — works when SPA uses React state nav
- *   3. Verify content differs from landing page — skip if it's duplicate
+ *
+ * Returns the landing page fingerprint (or null) so callers can tell whether
+ * navigation actually left the landing page.
+ */
+async function openRoute(crawler, page, url) {
+  const key = routeKey(crawler, url);
+
+  // Step 1: Full page reload with the hash URL
+  // This works if the SPA reads window.location.hash on initialization
+  const response = await safeGoto(crawler, page, url);
+
+  // Step 2: Check if we got different content than the landing page
+  let fingerprint = await getContentFingerprint(page);
+  const landingRoute = crawler.capturedRoutes.get("/");
+  let landingFingerprint = null;
+  if (landingRoute) {
+    // Quick check: does this page look like the landing page?
+    // Compare heading text as a proxy
+    landingFingerprint = landingRoute._fingerprint || null;
+  }
+
+  // Step 2b: Pathname route the server can't deep-link (404, or it just served
+  // the app shell) — boot the app at its base URL and push the path client-side
+  const notFound = response && response.status() >= 400;
+  if (!key.startsWith("#") && (notFound || (landingFingerprint && fingerprint === landingFingerprint))) {
+    crawler.log(`    🔄 Deep link to ${key} didn't render it, pushing the path via history API...`);
+    if (notFound) await safeGoto(crawler, page, crawler.config.url);
+    await pushRoute(crawler, page, url);
+    fingerprint = await getContentFingerprint(page);
+  }
+
+  // Step 3: If content looks like landing page, try clicking sidebar
+  const parsedUrl = new URL(url);
+  const hashPath = (parsedUrl.hash || key).split("?")[0].replace(/^#\/?/, "");
+
+  if (hashPath && landingFingerprint && fingerprint === landingFingerprint) {
+    crawler.log(`    🔄 Hash navigation didn't change content, trying sidebar click for "${hashPath}"...`);
+    const clicked = await clickMatchingSidebarItem(crawler, page, hashPath);
+    if (clicked) {
+      await waitForSettled(crawler, page);
+    }
+  }
+
+  // Ensure body has content
+  await page.waitForSelector("body *", { timeout: 5000 }).catch(() => {});
+  return landingFingerprint;
+}
+
+/**
+ * Navigate to a specific route and capture the rendered content.
+ * Skips the route if it still looks like the landing page after openRoute().
+ *
+ * origin: { depth, parent } — where in the crawl frontier this route came from.
  */
-async function captureRoute(page, url, requestContext) {
-  const key = routeKey(url);
-  if (!key || capturedRoutes.has(key)) return null;
+async function captureRoute(crawler, page, url, requestContext, origin = {}) {
+  const key = routeKey(crawler, url);
+  if (!key || crawler.capturedRoutes.has(key)) return null;
 
   // Skip the landing page key since it's already captured
   if (key === "/") return null;
 
-  console.log(`  🌐 Capturing: ${key} (${url})`);
+  // Another worker may be on it already
+  if (!claimRoute(crawler, key)) return null;
 
-  try {
-    // Step 1: Full page reload with the hash URL
-    // This works if the SPA reads window.location.hash on initialization
-    await safeGoto(page, url);
-    await page.waitForTimeout(RENDER_DELAY);
-
-    // Step 2: Check if we got different content than the landing page
-    const fingerprint = await getContentFingerprint(page);
-    const landingRoute = capturedRoutes.get("/");
-    let landingFingerprint = null;
-    if (landingRoute) {
-      // Quick check: does this page look like the landing page?
-      // Compare heading text as a proxy
-      landingFingerprint = landingRoute._fingerprint || null;
-    }
-
-    // Step 3: If content looks like landing page, try clicking sidebar
-    const parsedUrl = new URL(url);
-    const hashPath = (parsedUrl.hash || key).replace(/^#\/?/, "");
-
-    if (hashPath && landingFingerprint && fingerprint === landingFingerprint) {
-      console.log(`    🔄 Hash navigation didn't change content, trying sidebar click for "${hashPath}"...`);
-      const clicked = await clickMatchingSidebarItem(page, hashPath);
-      if (clicked) {
-        await page.waitForTimeout(RENDER_DELAY);
-      }
-    }
+  crawler.log(`  🌐 Capturing: ${key} (${url})`);
 
-    // Ensure body has content
-    await page.waitForSelector("body *", { timeout: 5000 }).catch(() => {});
+  try {
+    const landingFingerprint = await openRoute(crawler, page, url);
 
-    // Final fingerprint check — skip if still duplicate of landing
+    // Final check — skip if navigation never left the landing page, or the
+    // content (nearly) duplicates a page we already have
     const finalFingerprint = await getContentFingerprint(page);
     if (landingFingerprint && finalFingerprint === landingFingerprint && key !== "/") {
-      console.log(`    ⏭️  Skipping ${key} — content identical to landing page`);
+      crawler.log(`    ⏭️  Skipping ${key} — content identical to landing page`);
       return null;
     }
-
-    // Extract content
-    const [html, cssBlocks, assetUrls] = await Promise.all([
-      extractCleanHTML(page),
-      extractAllCSS(page),
-      extractAssetUrls(page),
-    ]);
-
-    const title = await page.title();
-
-    // Download assets
-    if (DOWNLOAD_ASSETS) {
-      for (const assetUrl of assetUrls) {
-        await downloadAsset(assetUrl, requestContext);
-      }
-      for (const cssBlock of cssBlocks) {
-        const urlMatches = cssBlock.match(/url\(["']?(https?:\/\/[^"')]+)["']?\)/g) || [];
-        for (const m of urlMatches) {
-          const u = m.replace(/url\(["']?/, "").replace(/["']?\)/, "");
-          await downloadAsset(u, requestContext);
-        }
-      }
+    const signature = await getContentSignature(page);
+    const duplicate = findNearDuplicate(crawler, signature);
+    if (duplicate) {
+      crawler.skip("route", key, describeDuplicate(duplicate));
+      return null;
     }
 
-    // Discover additional routes (href-only, don't click here)
-    const newRoutes = await discoverHrefRoutes(page);
+    // Extract content
+    const { title, html, css, cssBlocks, settleMs } = await snapshotPage(crawler, page, requestContext);
 
-    // Also discover routes by clicking (for SPAs with content-only changes)
-    // This is especially important for components pages with clickable cards
-    const clickDiscoveredRoutes = await discoverAndCapture(page, requestContext, key);
-    newRoutes.push(...clickDiscoveredRoutes);
+    // Discover additional routes (href-only). Clickable children are
+    // discovered when the crawl frontier expands this route.
+    const newRoutes = await discoverHrefRoutes(crawler, page);
 
     const result = {
       key,
       url,
       title,
       html,
-      css: cssBlocks.join("\n\n"),
-      externalLinks: siteExternalLinks,
+      css,
+      cssBlocks,
+      externalLinks: crawler.siteExternalLinks,
       newRoutes,
+      depth: origin.depth ?? 1,
+      parent: origin.parent ?? null,
+      settleMs,
       _fingerprint: finalFingerprint,
+      _signature: signature,
     };
 
-    if (!navMap.has(key)) {
-      navMap.set(key, { label: keyToDefaultLabel(key) });
+    if (!crawler.navMap.has(key)) {
+      crawler.navMap.set(key, { label: keyToDefaultLabel(key) });
     }
-    capturedRoutes.set(key, result);
+    crawler.recordRoute(result);
     return result;
   } catch (err) {
-    console.error(`  ❌ Error capturing ${key}: ${err.message}`);
+    crawler.warn(`Error capturing ${key}: ${err.message}`);
     return null;
+  } finally {
+    releaseRoute(crawler, key);
   }
 }
 
@@ -931,7 +2765,7 @@ async function captureRoute(page, url, requestContext) {
  * Try to click a sidebar element that matches the given route path.
  * This triggers React Router's internal navigation properly.
  */
-async function clickMatchingSidebarItem(page, hashPath) {
+async function clickMatchingSidebarItem(crawler, page, hashPath) {
   const segments = hashPath.split("/");
   const lastSegment = segments[segments.length - 1] || "";
   const searchTerms = [
@@ -940,13 +2774,18 @@ async function clickMatchingSidebarItem(page, hashPath) {
     hashPath,
   ].filter(Boolean);
 
-  const buttons = await page.$$(CLICKABLE_SELECTORS);
+  const buttons = await page.$$(crawler.config.clickableSelectors.join(", "));
 
   for (const term of searchTerms) {
     try {
       for (const btn of buttons) {
-        const text = await btn.evaluate(e => (e.textContent || "").trim().toLowerCase());
-        if (text.includes(term.toLowerCase())) {
+        const text = await btn.evaluate(e => (e.textContent || "").trim().replace(/\s+/g, " "));
+        if (text.toLowerCase().includes(term.toLowerCase())) {
+          const reason = labelSkipReason(crawler, text);
+          if (reason) {
+            crawler.skip("label", text, reason);
+            continue;
+          }
           await btn.click({ timeout: 2000 }).catch(() => {});
           return true;
         }
@@ -959,7 +2798,7 @@ async function clickMatchingSidebarItem(page, hashPath) {
 /**
  * Discover routes from <a href> only (no clicking), for use during capture.
  */
-async function discoverHrefRoutes(page) {
+async function discoverHrefRoutes(crawler, page) {
   const routes = [];
   const hrefs = await page.evaluate(() => {
     return Array.from(document.querySelectorAll("a[href]")).map(a => {
@@ -969,14 +2808,14 @@ async function discoverHrefRoutes(page) {
 
   for (const { href, rawHref } of hrefs) {
     if (rawHref && rawHref.startsWith("#")) {
-      const fullUrl = new URL(BASE_URL);
+      const fullUrl = new URL(crawler.config.url);
       fullUrl.hash = rawHref;
-      const key = routeKey(fullUrl.href);
+      const key = routeKey(crawler, fullUrl.href);
       if (key) routes.push(fullUrl.href);
       continue;
     }
-    if (href && isInternalUrl(href)) {
-      const key = routeKey(href);
+    if (href && isInternalUrl(crawler, href)) {
+      const key = routeKey(crawler, href);
       if (key) routes.push(href);
     }
   }
@@ -987,71 +2826,106 @@ async function discoverHrefRoutes(page) {
 
 /**
  * Rewrite all internal links in HTML to point to local .html files.
- * Handles hash routes (#/path) and pathname routes.
+ * Handles hash routes (#/path), pathname routes and full URLs. Only <a> and
+ * <area> hrefs are touched (see markup.js), and each is resolved to its
+ * route key, so query parameter order and &amp; encoding don't matter —
+ * ?b=2&amp;a=1 finds the page captured as ?a=1&b=2. toFile names the file a
+ * route key links to (the Markdown export links .md files). Internal links that
+ * don't lead to a captured page are kept as they are and recorded in
+ * crawler.unresolvedLinks (writeSite warns about them).
  */
-function rewriteLinks(html, currentKey) {
-  let result = html;
-  const currentFile = routeToFilename(currentKey);
+function rewriteLinks(crawler, html, currentKey, currentFile = routeToFilename(currentKey), toFile = routeToFilename) {
   const currentDir = path.dirname(currentFile);
+  const pageUrl = crawler.capturedRoutes.get(currentKey)?.url || crawler.config.url;
 
-  for (const [key] of capturedRoutes) {
-    const targetFile = routeToFilename(key);
-    let rel = path.relative(currentDir, targetFile).replace(/\\/g, "/");
-    if (!rel.startsWith(".")) rel = "./" + rel;
+  return rewriteHtmlUrls(html, (href, { kind }) => {
+    if (kind !== "link" || !href) return null;
+    let target;
+    try {
+      if (href.startsWith("#")) {
+        // Hash-style hrefs: "#/colors", "#colors", "#/button?variant=primary"
+        target = new URL(crawler.config.url);
+        target.hash = href;
+      } else {
+        target = new URL(href, pageUrl);
+        if (!/^https?:$/.test(target.protocol) || !isInternalUrl(crawler, target.href)) return null;
+      }
+    } catch {
+      return null;
+    }
 
-    // Rewrite hash-style hrefs: href="#/colors" etc.
-    if (key.startsWith("#")) {
-      result = result.split(`href="${key}"`).join(`href="${rel}"`);
-      // Also handle without leading slash: href="#colors"
-      const noSlash = key.replace("#/", "#");
-      result = result.split(`href="${noSlash}"`).join(`href="${rel}"`);
-    }
-
-    // Rewrite pathname-style hrefs
-    const pathname = key.startsWith("#") ? null : key;
-    if (pathname) {
-      result = result.split(`href="${pathname}"`).join(`href="${rel}"`);
-      result = result.split(`href="${pathname}/"`).join(`href="${rel}"`);
-      // Full URL form
-      for (const [, r] of capturedRoutes) {
-        if (routeKey(r.url) === key) {
-          result = result.split(`href="${r.url}"`).join(`href="${rel}"`);
-          result = result.split(`href="${r.url}/"`).join(`href="${rel}"`);
-        }
+    const key = routeKey(crawler, target.href);
+    if (!key || !crawler.capturedRoutes.has(key)) {
+      // "#section" is usually an in-page anchor and /files/x.pdf a download
+      const isRoute = href.startsWith("#") ? href.startsWith("#/")
+        : !/\.(?!html?$)[a-z0-9]+$/i.test(target.pathname);
+      if (key && isRoute) {
+        if (!crawler.unresolvedLinks.has(href)) crawler.unresolvedLinks.set(href, new Set());
+        crawler.unresolvedLinks.get(href).add(currentKey);
       }
+      return null;
     }
-  }
 
-  return result;
+    let rel = path.relative(currentDir, toFile(key)).replace(/\\/g, "/");
+    if (!rel.startsWith(".")) rel = "./" + rel;
+    return rel;
+  });
+}
+
+/**
+ * The local copy of a referenced asset, relative to currentDir, or null when
+ * it wasn't downloaded (CDN fonts we intentionally preserved, failures).
+ * ref may be relative to the page it appears on.
+ */
+function localAssetUrl(crawler, ref, baseUrl, currentDir) {
+  if (!ref || /^(about|javascript|mailto|tel):|^#/i.test(ref)) return null;
+  let absolute = ref;
+  if (!/^(data|blob):/i.test(ref)) {
+    try {
+      absolute = new URL(ref, baseUrl).href;
+    } catch {
+      return null;
+    }
+  }
+  const localPath = crawler.downloadedAssets.get(absolute);
+  if (!localPath) return null;
+  const rel = path.relative(currentDir, localPath).replace(/\\/g, "/");
+  return rel.startsWith(".") ? rel : "./" + rel;
 }
 
-function rewriteAssetUrls(content, currentKey) {
-  let result = content;
-  const currentFile = routeToFilename(currentKey);
+/**
+ * Point downloaded assets in HTML at their local copies: src, srcset,
+ * poster, data-src, non-navigation hrefs (<link>), inline style url()s and
+ * <style> blocks. Relative URLs are resolved against the page's URL.
+ */
+function rewriteAssetUrls(crawler, html, currentKey, currentFile = routeToFilename(currentKey)) {
   const currentDir = path.dirname(currentFile);
+  const pageUrl = crawler.capturedRoutes.get(currentKey)?.url || crawler.config.url;
+  return rewriteHtmlUrls(html, (ref, { kind }) =>
+    kind === "asset" ? localAssetUrl(crawler, ref, pageUrl, currentDir) : null);
+}
 
-  // Only rewrite URLs that were actually downloaded
-  // Skip CDN URLs (fonts, etc.) that we intentionally preserved
-  for (const [originalUrl, localPath] of downloadedAssets) {
-    const rel = path.relative(currentDir, localPath).replace(/\\/g, "/");
-    result = result.split(originalUrl).join(rel.startsWith(".") ? rel : "./" + rel);
-  }
-  return result;
+/** rewriteAssetUrls for a stylesheet that will live at currentFile. */
+function rewriteCssAssetUrls(crawler, css, currentKey, currentFile = routeToFilename(currentKey)) {
+  const currentDir = path.dirname(currentFile);
+  const pageUrl = crawler.capturedRoutes.get(currentKey)?.url || crawler.config.url;
+  return rewriteCssUrls(css, ref => localAssetUrl(crawler, ref, pageUrl, currentDir));
 }
 
 // ── Navigation Injection ──────────────────────────────────────────────────
 
 /**
- * Build a static navigation bar HTML that links to all captured pages.
- * This replaces the dead JavaScript-driven sidebar buttons.
+ * The captured routes grouped the way the nav bar shows them, in nav order:
+ * [{ heading, short, keys }]. The first group (heading null) is the landing
+ * page and the top-level pages; "AI Snapshot" and "Components" follow when
+ * there are any. short: label entries by the last breadcrumb segment only.
  */
-function buildNavBar(currentKey) {
-  // Group routes into sections
+function navSections(crawler) {
   const mainRoutes = []; // top-level routes like #/colors, #/overview
   const aiRoutes = [];   // #/ai/* routes
   const componentRoutes = [];  // #/components/* and #/ai/components/*
 
-  for (const [key] of capturedRoutes) {
+  for (const [key] of crawler.capturedRoutes) {
     const filename = routeToFilename(key);
     if (filename === "index.html" && key === "/") continue; // skip duplicate
 
@@ -1064,8 +2938,40 @@ function buildNavBar(currentKey) {
     }
   }
 
+  const sections = [{
+    heading: null,
+    short: false,
+    keys: [...(crawler.capturedRoutes.has("/") ? ["/"] : []), ...mainRoutes.sort()],
+  }];
+  if (aiRoutes.length > 0) sections.push({ heading: "AI Snapshot", short: false, keys: aiRoutes.sort() });
+  // Components — show only the last part of the breadcrumb (e.g. "Badge" not "Components/Badge")
+  if (componentRoutes.length > 0) sections.push({ heading: "Components", short: true, keys: componentRoutes.sort() });
+  return sections;
+}
+
+/** A route's nav label: its navMap breadcrumb ("Components/Badge"), or one made from the key. */
+function navLabel(crawler, key, showShort = false) {
+  if (key === "/") return crawler.navMap.get("/")?.label || "Overview";
+  // Use breadcrumb from navMap (e.g. "Components/Badge")
+  if (crawler.navMap.has(key)) {
+    const raw = crawler.navMap.get(key).label;
+    if (showShort && raw.includes("/")) {
+      // Under a section heading, show only the last segment: "Badge"
+      return raw.split("/").pop().trim();
+    }
+    if (raw.includes("/")) return raw;
+    const cleaned = raw.replace(/^[a-z_]+\s+/, "");
+    return cleaned || raw;
+  }
+  return keyToDefaultLabel(key);
+}
+
+/**
+ * Build a static navigation bar HTML that links to all captured pages.
+ * This replaces the dead JavaScript-driven sidebar buttons.
+ */
+function buildNavBar(crawler, currentKey, currentFile = routeToFilename(currentKey)) {
   function makeLink(key, label) {
-    const currentFile = routeToFilename(currentKey);
     const currentDir = path.dirname(currentFile);
     const targetFile = routeToFilename(key);
     let rel = path.relative(currentDir, targetFile).replace(/\\/g, "/");
@@ -1077,53 +2983,15 @@ function buildNavBar(currentKey) {
     return `<a href="${rel}" class="nav-item${depthClass}${activeClass}">${label}</a>`;
   }
 
-  function keyToLabel(key, showShort = false) {
-    // Use breadcrumb from navMap (e.g. "Components/Badge")
-    if (navMap.has(key)) {
-      const raw = navMap.get(key).label;
-      if (showShort && raw.includes("/")) {
-        // Under a section heading, show only the last segment: "Badge"
-        return raw.split("/").pop().trim();
-      }
-      if (raw.includes("/")) return raw;
-      const cleaned = raw.replace(/^[a-z_]+\s+/, "");
-      return cleaned || raw;
-    }
-    return keyToDefaultLabel(key);
-  }
-
   let nav = `<nav class="static-nav" aria-label="Page navigation">\n`;
   nav += `  <div class="static-nav-brand">Site Navigation</div>\n`;
-  nav += `  <div class="static-nav-section">\n`;
-
-  // Home/Overview link
-  if (capturedRoutes.has("/")) {
-    nav += `    ${makeLink("/", navMap.get("/")?.label || "Overview")}\n`;
-  }
-
-  // Main section pages
-  for (const key of mainRoutes.sort()) {
-    if (key === "/") continue;
-    nav += `    ${makeLink(key, keyToLabel(key))}\n`;
-  }
-
-  // AI section
-  if (aiRoutes.length > 0) {
-    nav += `  </div>\n  <div class="static-nav-section">\n`;
-    nav += `    <div class="static-nav-heading">AI Snapshot</div>\n`;
-    for (const key of aiRoutes.sort()) {
-      nav += `    ${makeLink(key, keyToLabel(key))}\n`;
-    }
-  }
-
-  // Components — show only the last part of the breadcrumb (e.g. "Badge" not "Components/Badge")
-  if (componentRoutes.length > 0) {
-    nav += `  </div>\n  <div class="static-nav-section">\n`;
-    nav += `    <div class="static-nav-heading">Components</div>\n`;
-    for (const key of componentRoutes.sort()) {
-      nav += `    ${makeLink(key, keyToLabel(key, true))}\n`;
+  navSections(crawler).forEach(({ heading, short, keys }, i) => {
+    nav += i === 0 ? `  <div class="static-nav-section">\n` : `  </div>\n  <div class="static-nav-section">\n`;
+    if (heading) nav += `    <div class="static-nav-heading">${heading}</div>\n`;
+    for (const key of keys) {
+      nav += `    ${makeLink(key, navLabel(crawler, key, short))}\n`;
     }
-  }
+  });
 
   nav += `  </div>\n</nav>`;
   return nav;
@@ -1204,35 +3072,462 @@ body {
     margin-left: 0 !important;
   }
 }
-`;
+`;
+
+// ── Unused CSS pruning ────────────────────────────────────────────────────
+
+/**
+ * In-page: drop the rules of one stylesheet that match nothing in any of the
+ * documents in window.__crawlerPruneDocs named by `keys`. Returns the kept CSS.
+ *
+ *   - Style rules are kept whole if any of their selectors matches. State
+ *     pseudo-classes (:hover, :focus, :checked, ...) and pseudo-elements are
+ *     ignored for matching, so .btn:hover stays as long as .btn is there
+ *   - Selectors querySelector can't evaluate are kept, to be safe
+ *   - @media/@supports/@container/@layer blocks keep their matching rules
+ *   - @keyframes, @font-face and @property stay only while the kept CSS (or
+ *     an inline style) still refers to their name
+ */
+function pruneStylesheet({ css, keys }) {
+  const docs = keys.map(key => window.__crawlerPruneDocs.get(key)).filter(Boolean);
+  const sheet = new CSSStyleSheet();
+  try {
+    sheet.replaceSync(css);
+  } catch {
+    return css;
+  }
+
+  // Pseudo-classes and -elements, but not escaped colons in class names (.md\:flex)
+  const pseudo = /(?<!\\)::?-?[\w-]+/g;
+  const structuralPseudo = /^:(?:root|first-child|last-child|only-child|empty|first-of-type|last-of-type|only-of-type|scope)$/;
+  // Split a selector list at top-level commas (not inside :is(...), [...])
+  const splitSelectors = (text) => {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (c === "(" || c === "[") depth++;
+      else if (c === ")" || c === "]") depth--;
+      else if (c === "," && depth === 0) {
+        parts.push(text.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+  };
+  const matches = (selector) => {
+    // Keep functional (:not(), :has(), :nth-child()) and structural ones; drop states
+    const plain = selector.replace(pseudo, (name, offset, text) =>
+      text[offset + name.length] === "(" || structuralPseudo.test(name) ? name : "").trim();
+    if (!plain || /[>+~]$/.test(plain)) return true;
+    try {
+      return docs.some(doc => doc.querySelector(plain));
+    } catch {
+      return true;
+    }
+  };
+
+  // Top-level @keyframes/@font-face/@property are decided once we know what
+  // the kept rules refer to; inside @media and the like they are kept
+  const deferred = [];
+  const walk = (rules, topLevel) => {
+    const kept = [];
+    for (const rule of rules) {
+      if (rule instanceof CSSStyleRule) {
+        if (splitSelectors(rule.selectorText).some(matches)) kept.push(rule.cssText);
+      } else if (topLevel && (rule instanceof CSSKeyframesRule || rule instanceof CSSFontFaceRule ||
+                 (window.CSSPropertyRule && rule instanceof CSSPropertyRule))) {
+        deferred.push({ rule, index: kept.length });
+        kept.push(null);
+      } else if (rule.cssRules) {
+        const inner = walk(rule.cssRules, false);
+        if (inner.length > 0) {
+          const head = rule.cssText.slice(0, rule.cssText.indexOf("{")).trim();
+          kept.push(`${head} {\n${inner.join("\n")}\n}`);
+        }
+      } else {
+        kept.push(rule.cssText);
+      }
+    }
+    return kept;
+  };
+  const kept = walk(sheet.cssRules, true);
+
+  const inlineStyles = docs.flatMap(doc => Array.from(doc.querySelectorAll("[style]"), el => el.getAttribute("style")));
+  const referenced = [...kept.filter(Boolean), ...inlineStyles].join("\n");
+  const fontFamilies = new Set();
+  // font, font-family, and custom properties that may hold a font stack
+  for (const m of referenced.matchAll(/(?:font|font-family|--[\w-]+)\s*:([^;}]+)/g)) {
+    for (const family of m[1].split(",")) fontFamilies.add(family.trim().replace(/^["']|["']$/g, "").toLowerCase());
+  }
+  const inUse = (name) => name && new RegExp(`(^|[^\\w-])${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\w-])`).test(referenced);
+  for (const { rule, index } of deferred) {
+    let keep;
+    if (rule instanceof CSSFontFaceRule) {
+      const family = rule.style.getPropertyValue("font-family").trim().replace(/^["']|["']$/g, "").toLowerCase();
+      // The font shorthand puts the family last: "600 1rem/1.5 inter"
+      keep = !family || [...fontFamilies].some(f => f === family || f.endsWith(" " + family));
+    } else {
+      keep = inUse(rule.name);
+    }
+    kept[index] = keep ? rule.cssText : null;
+  }
+
+  return kept.filter(Boolean).join("\n");
+}
+
+/**
+ * pruneCss: drop CSS rules that match nothing in the captured pages. Every
+ * distinct stylesheet block is pruned against all the pages that use it, so a
+ * block shared by several pages stays identical across them (and shareable,
+ * see planSharedCss). The pruned blocks replace each route's cssBlocks;
+ * route.cssPrunedBytes records what was removed. Runs in a blank browser
+ * page with all requests blocked: the HTML is only parsed, never rendered.
+ */
+async function pruneUnusedCss(crawler, browser, routes = [...crawler.capturedRoutes.values()]) {
+  const context = await browser.newContext();
+  try {
+    const page = await context.newPage();
+    await page.route("**/*", request => request.abort());
+
+    await page.evaluate(() => { window.__crawlerPruneDocs = new Map(); });
+    const usedBy = new Map();
+    for (const route of routes) {
+      if (!route.cssBlocks) continue;
+      await page.evaluate(({ key, html }) => {
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, "text/html");
+        window.__crawlerPruneDocs.set(key, doc);
+      }, { key: route.key, html: route.html });
+      for (const { css } of route.cssBlocks) {
+        if (!usedBy.has(css)) usedBy.set(css, new Set());
+        usedBy.get(css).add(route.key);
+      }
+    }
+
+    const pruned = new Map();
+    for (const [css, keys] of usedBy) {
+      // @import rules can't go through replaceSync; buildPage turns them into <link>s
+      const imports = css.match(/@import\s+url\(["']?[^"')]+["']?\)\s*;?/g) || [];
+      const rest = css.replace(/@import\s+url\(["']?[^"')]+["']?\)\s*;?/g, "");
+      const kept = await page.evaluate(pruneStylesheet, { css: rest, keys: [...keys] });
+      pruned.set(css, [...imports, kept].join("\n"));
+    }
+
+    let total = 0;
+    for (const route of routes) {
+      if (!route.cssBlocks) continue;
+      const before = route.cssBlocks.reduce((sum, block) => sum + Buffer.byteLength(block.css), 0);
+      route.cssBlocks = route.cssBlocks.map(block => ({ ...block, css: pruned.get(block.css) ?? block.css }));
+      const after = route.cssBlocks.reduce((sum, block) => sum + Buffer.byteLength(block.css), 0);
+      route.cssPrunedBytes = before - after;
+      total += route.cssPrunedBytes;
+      crawler.log(`  ✂️  ${route.key}: ${(route.cssPrunedBytes / 1024).toFixed(1)} KB of unused CSS removed (${(after / 1024).toFixed(1)} KB left)`);
+    }
+    crawler.log(`  ✂️  Pruned ${(total / 1024).toFixed(0)} KB of unused CSS from ${routes.length} pages`);
+  } finally {
+    await context.close();
+  }
+}
+
+// ── Markdown Export ────────────────────────────────────────────────────────
+
+/** "colors.html" → "colors.md": a route's Markdown file sits next to its page. */
+function routeToMarkdownFilename(key) {
+  return routeToFilename(key).replace(/\.html$/, ".md");
+}
+
+/**
+ * In-page: convert one captured page (the HTML stored on the route, links
+ * already rewritten) to Markdown. Keeps headings, paragraphs, lists, tables,
+ * code blocks, blockquotes, links and image alt text. Navigation chrome,
+ * hidden elements and icon-font ligatures ("palette", "chevron_right") are
+ * dropped first.
+ */
+function htmlToMarkdown({ html }) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, "text/html");
+  const body = doc.body;
+
+  const chrome = [
+    "script", "style", "noscript", "template", "svg", "canvas", "iframe", "input", "select",
+    "nav", "[role='navigation']", ".static-nav",
+    "[hidden]", "[aria-hidden='true']", "[style*='display: none']", "[style*='display:none']",
+  ].join(", ");
+  body.querySelectorAll(chrome).forEach(el => el.remove());
+  // Sidebars: an <aside> outside the article, or a "sidebar" / "sidebar-nav"
+  // class. Wrappers around the page content ("layout-with-sidebar",
+  // "sidebar-layout") stay, as does anything holding the main content.
+  const sidebarToken = /^sidebar([-_](?!layout|wrap|container|content|page|inset)[\w-]*)?$/i;
+  body.querySelectorAll("aside, [class]").forEach(el => {
+    const isSidebar = el.localName === "aside"
+      ? !el.parentElement.closest("main, article, [role='main']")
+      : Array.from(el.classList).some(token => sidebarToken.test(token));
+    if (isSidebar && !el.querySelector("main, article, [role='main'], h1")) el.remove();
+  });
+  // Icon fonts render a ligature word as a glyph: <span class="material-icons">palette</span>
+  const iconClass = /(^|[\s_-])(material-(icons|symbols)[\w-]*|icons?|glyphicon|codicon|fa[srlbd]?|bi)([\s_-]|$)/i;
+  body.querySelectorAll("i, span").forEach(el => {
+    if (iconClass.test(el.getAttribute("class") || "") && /^[a-z0-9_]*$/.test(el.textContent.trim())) el.remove();
+  });
+
+  const BLOCK = new Set([
+    "address", "article", "aside", "blockquote", "details", "dialog", "dd", "div", "dl", "dt", "fieldset",
+    "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr",
+    "li", "main", "ol", "p", "pre", "section", "summary", "table", "ul",
+  ]);
+  const isBlock = (node) => node.nodeType === 1 && BLOCK.has(node.localName);
+  const hasBlock = (el) => Array.from(el.children).some(child => isBlock(child) || hasBlock(child));
+  const escape = (text) => text.replace(/([\\`*[\]])/g, "\\$1").replace(/(^|\W)_|_(?=\W|$)/g, "$1\\_");
+
+  const inline = (node) => {
+    if (node.nodeType === 3) return escape(node.textContent.replace(/\s+/g, " "));
+    if (node.nodeType !== 1) return "";
+    const tag = node.localName;
+    const inner = () => Array.from(node.childNodes, inline).join("");
+    switch (tag) {
+      case "br": return "\n";
+      case "strong": case "b": {
+        const text = inner().trim();
+        return text ? `**${text}**` : "";
+      }
+      case "em": case "i": {
+        const text = inner().trim();
+        return text ? `*${text}*` : "";
+      }
+      case "code": case "kbd": case "samp": {
+        const text = node.textContent.replace(/\s+/g, " ");
+        const fence = "`".repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+        return text.trim() ? `${fence}${fence.length > 1 ? " " : ""}${text}${fence.length > 1 ? " " : ""}${fence}` : "";
+      }
+      case "a": {
+        const text = inner().trim();
+        const href = node.getAttribute("href");
+        if (!text) return "";
+        return href && !href.startsWith("javascript:") ? `[${text}](${href.replace(/ /g, "%20")})` : text;
+      }
+      case "img": {
+        const alt = (node.getAttribute("alt") || "").trim();
+        const src = node.getAttribute("src") || "";
+        if (!src || src.startsWith("data:")) return alt ? `[image: ${escape(alt)}]` : "";
+        return `![${escape(alt)}](${src.replace(/ /g, "%20")})`;
+      }
+      default: return inner();
+    }
+  };
+  const inlineText = (node) => Array.from(node.childNodes, inline).join("")
+    .replace(/[ \t]*\n[ \t]*/g, "\n").replace(/ {2,}/g, " ").trim();
+
+  const table = (el) => {
+    const rows = Array.from(el.querySelectorAll("tr")).filter(tr => tr.closest("table") === el);
+    const cells = rows.map(tr => Array.from(tr.children).flatMap(cell => {
+      const text = inlineText(cell).replace(/\|/g, "\\|").replace(/\n+/g, "<br>");
+      const span = Math.max(1, Number(cell.getAttribute("colspan")) || 1);
+      return [text, ...Array(span - 1).fill("")];
+    })).filter(row => row.length > 0);
+    if (cells.length === 0) return "";
+    const width = Math.max(...cells.map(row => row.length));
+    const line = (row) => `| ${[...row, ...Array(width - row.length).fill("")].join(" | ")} |`;
+    const caption = el.querySelector("caption");
+    return [
+      caption ? `**${inlineText(caption)}**\n` : "",
+      line(cells[0]),
+      line(Array(width).fill("---")),
+      ...cells.slice(1).map(line),
+    ].filter(Boolean).join("\n");
+  };
+
+  const list = (el, ordered) => {
+    let n = Number(el.getAttribute("start")) || 1;
+    return Array.from(el.children).filter(li => li.localName === "li").map(li => {
+      const marker = ordered ? `${n++}. ` : "- ";
+      // A nested list follows its item's text directly, anything else after a blank line
+      const content = blocks(li).reduce((text, block) =>
+        text ? text + (/^(- |\d+\. )/.test(block) ? "\n" : "\n\n") + block : block, "");
+      const indent = " ".repeat(marker.length);
+      return marker + content.split("\n").map((line, i) => (i === 0 || !line ? line : indent + line)).join("\n");
+    }).join("\n");
+  };
+
+  // Markdown blocks of one element's children, inline runs joined into paragraphs
+  const blocks = (el) => {
+    const out = [];
+    let run = [];
+    const flush = () => {
+      const wrapper = doc.createElement("div");
+      run.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+      const text = inlineText(wrapper);
+      if (text) out.push(text);
+      run = [];
+    };
+    for (const node of Array.from(el.childNodes)) {
+      if (isBlock(node) || (node.nodeType === 1 && hasBlock(node))) {
+        flush();
+        const block = convert(node);
+        if (block) out.push(block);
+      } else {
+        run.push(node);
+      }
+    }
+    flush();
+    return out;
+  };
+
+  const convert = (el) => {
+    const tag = el.localName;
+    if (/^h[1-6]$/.test(tag)) {
+      const text = inlineText(el).replace(/\n/g, " ");
+      return text ? `${"#".repeat(Number(tag[1]))} ${text}` : "";
+    }
+    switch (tag) {
+      case "hr": return "---";
+      case "pre": {
+        const code = el.textContent.replace(/\n$/, "");
+        const className = `${el.getAttribute("class") || ""} ${el.querySelector("code")?.getAttribute("class") || ""}`;
+        const lang = (/(?:language|lang)-([\w+#-]+)/.exec(className) || [])[1] || "";
+        const fence = "`".repeat(Math.max(3, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+        return `${fence}${lang}\n${code}\n${fence}`;
+      }
+      case "table": return table(el);
+      case "ul": return list(el, false);
+      case "ol": return list(el, true);
+      case "blockquote": return blocks(el).join("\n\n").split("\n").map(line => (line ? `> ${line}` : ">")).join("\n");
+      case "dl": return Array.from(el.children).map(child =>
+        child.localName === "dt" ? `**${inlineText(child)}**` : `: ${blocks(child).join(" ")}`).join("\n");
+      case "a": {
+        // A card wrapped in a link: link its heading, or its first line
+        const parts = blocks(el).join("\n\n").split("\n\n");
+        const href = el.getAttribute("href");
+        const target = parts.findIndex(part => /^#+ /.test(part));
+        const index = target === -1 ? 0 : target;
+        if (href && parts[index] && !parts[index].includes("\n") && !parts[index].includes("](")) {
+          const [, hashes, text] = /^(#+ )?(.*)$/.exec(parts[index]);
+          parts[index] = `${hashes || ""}[${text}](${href.replace(/ /g, "%20")})`;
+        }
+        return parts.join("\n\n");
+      }
+      default: return blocks(el).join("\n\n");
+    }
+  };
+
+  return blocks(body).join("\n\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+/**
+ * Convert every route to Markdown (route.markdown, without front-matter;
+ * see markdownFile) in a blank browser page with all requests blocked.
+ * Links point at the other routes' .md files, images at the local assets.
+ */
+async function exportMarkdown(crawler, browser, routes = [...crawler.capturedRoutes.values()]) {
+  const context = await browser.newContext();
+  try {
+    const page = await context.newPage();
+    await page.route("**/*", request => request.abort());
+    for (const route of routes) {
+      const file = routeToMarkdownFilename(route.key);
+      let html = rewriteLinks(crawler, route.html, route.key, file, routeToMarkdownFilename);
+      html = rewriteAssetUrls(crawler, html, route.key, file);
+      route.markdown = await page.evaluate(htmlToMarkdown, { html });
+    }
+  } finally {
+    await context.close();
+  }
+}
+
+/** A route's .md file: YAML front-matter (route, title, source URL) and its Markdown. */
+function markdownFile(route) {
+  // JSON strings are valid YAML scalars and need no further escaping
+  return [
+    "---",
+    `route: ${JSON.stringify(route.key)}`,
+    `title: ${JSON.stringify(route.title || "")}`,
+    `source: ${JSON.stringify(route.url)}`,
+    "---",
+    "",
+    route.markdown,
+  ].join("\n");
+}
 
 // ── Output Building ────────────────────────────────────────────────────────
 
-function buildPage(route) {
-  let html = rewriteLinks(route.html, route.key);
-  html = rewriteAssetUrls(html, route.key);
-  let css = rewriteAssetUrls(route.css, route.key);
+/**
+ * Decide which CSS blocks go into shared files under assets/css/: those used
+ * by more than one route (NAV_CSS is on every page). Pass the result to
+ * buildPage() for every page, then write out `files` (name → CSS). `pages`
+ * (page filename → names of the files it links) tells what each page would
+ * have inlined without sharing.
+ */
+function planSharedCss(crawler) {
+  const uses = new Map();
+  for (const route of crawler.capturedRoutes.values()) {
+    for (const css of new Set([...routeCssBlocks(route), NAV_CSS])) {
+      uses.set(css, (uses.get(css) || 0) + 1);
+    }
+  }
+  return {
+    blocks: new Set([...uses].filter(([, count]) => count > 1).map(([css]) => css)),
+    files: new Map(),
+    pages: new Map(),
+  };
+}
+
+/** A route's stylesheet texts, in cascade order. */
+function routeCssBlocks(route) {
+  return route.cssBlocks ? route.cssBlocks.map(block => block.css) : [route.css || ""];
+}
+
+/**
+ * Render a captured route as a static HTML document. `filename` is where the
+ * page will be written (relative to the output directory); links and asset URLs are made
+ * relative to it, so the same route can be written to more than one place.
+ *
+ * sharedCss (see planSharedCss): each run of consecutive shared blocks is
+ * linked as one content-hashed file, assets/css/<hash>.css, and recorded in
+ * sharedCss.files and sharedCss.pages; the rest stays inline in <style>, in the original order
+ * so the cascade is unchanged. Without it all CSS is inlined.
+ */
+function buildPage(crawler, route, filename = routeToFilename(route.key), sharedCss = null) {
+  let html = rewriteLinks(crawler, route.html, route.key, filename);
+  html = rewriteAssetUrls(crawler, html, route.key, filename);
 
   // ── Fix @import rules: must be at top of stylesheet or browsers ignore them ──
   // Extract @import rules and convert them to <link> tags (more reliable, parallel loading)
   const importRegex = /@import\s+url\(["']?([^"')]+)["']?\)\s*;?/g;
   const importLinks = [];
   const seen = new Set();
-  let match;
-  while ((match = importRegex.exec(css)) !== null) {
-    const url = match[1];
-    if (!seen.has(url)) {
-      seen.add(url);
-      importLinks.push(`  <link rel="stylesheet" href="${url}">`);
+  const segments = [];
+  for (const block of [...routeCssBlocks(route), NAV_CSS]) {
+    for (const match of block.matchAll(importRegex)) {
+      const url = match[1];
+      if (!seen.has(url)) {
+        seen.add(url);
+        importLinks.push(`  <link rel="stylesheet" href="${url}">`);
+      }
     }
+    // Remove @import rules from inline CSS (they're now <link> tags)
+    const css = block.replace(importRegex, "").trim();
+    if (!css) continue;
+    const shared = !!sharedCss && sharedCss.blocks.has(block);
+    const last = segments[segments.length - 1];
+    if (last && last.shared === shared) last.blocks.push(css);
+    else segments.push({ shared, blocks: [css] });
   }
-  // Remove @import rules from inline CSS (they're now <link> tags)
-  css = css.replace(/@import\s+url\(["']?[^"')]+["']?\)\s*;?/g, "").trim();
 
-  // ── Fix relative font URLs: make them absolute to the source site ──
-  // Paths like url(/_woff/v2/...) need to resolve against the original domain
-  const baseOrigin = new URL(BASE_URL).origin;
-  css = css.replace(/url\(["']?\/((?!\/)[^"')]+)["']?\)/g, `url("${baseOrigin}/$1")`);
+  const currentDir = path.dirname(filename);
+  const linked = [];
+  if (sharedCss) sharedCss.pages.set(filename, linked);
+  const styleTags = segments.map(({ shared, blocks }) => {
+    if (!shared) {
+      return `  <style>\n${rewriteCssAssetUrls(crawler, blocks.join("\n\n"), route.key, filename)}\n  </style>`;
+    }
+    // Asset URLs relative to the CSS file rather than the page
+    const content = rewriteCssAssetUrls(crawler, blocks.join("\n\n"), route.key, path.join("assets", "css", "shared.css"));
+    const name = `${crypto.createHash("sha256").update(content).digest("hex").slice(0, 12)}.css`;
+    sharedCss.files.set(name, content);
+    linked.push(name);
+    const href = path.relative(currentDir, path.join("assets", "css", name)).replace(/\\/g, "/");
+    return `  <link rel="stylesheet" href="${href}">`;
+  });
 
   // ── Collect external <link> tags preserved from the original page ──
   const externalLinks = (route.externalLinks || [])
@@ -1242,14 +3537,16 @@ function buildPage(route) {
       return !hrefMatch || !seen.has(hrefMatch[1]);
     });
 
-  // Merge all external links (deduped)
-  const allLinks = [...new Set([...externalLinks, ...importLinks])];
+  // Merge all external links (deduped); stylesheets downloaded for offline
+  // use point at their local copies
+  const allLinks = [...new Set([...externalLinks, ...importLinks])]
+    .map(link => rewriteAssetUrls(crawler, link, route.key, filename));
 
   const safeTitle = (route.title || "Untitled")
     .replace(/</g, "&lt;")
     .replace(/>/g, "&gt;");
 
-  const navHtml = buildNavBar(route.key);
+  const navHtml = buildNavBar(crawler, route.key, filename);
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -1258,10 +3555,7 @@ function buildPage(route) {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${safeTitle}</title>
 ${allLinks.join("\n")}
-  <style>
-${css}
-${NAV_CSS}
-  </style>
+${styleTags.join("\n")}
 </head>
 <body>
 ${navHtml}
@@ -1270,216 +3564,644 @@ ${html}
 </html>`;
 }
 
-// ── Main ───────────────────────────────────────────────────────────────────
+// ── Crawl Frontier ─────────────────────────────────────────────────────────
 
-async function main() {
-  console.log(`\n🚀 SPA-Aware Site Crawler`);
-  console.log(`   Source:       ${BASE_URL}`);
-  console.log(`   Output:       ${OUTPUT_DIR}`);
-  console.log(`   Max pages:    ${MAX_PAGES}`);
-  console.log(`   Render delay: ${RENDER_DELAY}ms`);
-  console.log(`   Assets:       ${DOWNLOAD_ASSETS ? "download" : "skip"}\n`);
+// Frontier entries look like { key, url, depth, parent, clickPath }.
+// `clickPath` is { from, clicks } for click-only routes: the URL to open and
+// the ordered click steps (see installClickLocator) that reach the route from
+// there. URL routes have no clickPath and are opened directly. Captured
+// routes keep their clickPath, and the manifest records it for `replay`.
 
-  // Clean slate
-  await fs.remove(OUTPUT_DIR);
-  await fs.ensureDir(OUTPUT_DIR);
+/** A route's click path plus one more click; starts at the route's URL if it has none. */
+function extendClickPath(fromRoute, fromUrl, step) {
+  const base = fromRoute && fromRoute.clickPath;
+  if (base) return { from: base.from, clicks: [...base.clicks, step] };
+  return { from: (fromRoute && fromRoute.url) || fromUrl, clicks: [step] };
+}
 
-  const browser = await chromium.launch({
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
+/**
+ * Open a click path's starting URL and click each step in order.
+ * Returns false if one of the elements can't be found.
+ */
+async function replayClicks(crawler, page, { from, clicks }) {
+  if (routeKey(crawler, from) === routeKey(crawler, crawler.config.url)) {
+    await safeGoto(crawler, page, from);
+  } else {
+    await openRoute(crawler, page, from);
+  }
+  for (const step of clicks) {
+    if (!(await clickStep(page, step))) return false;
+    await waitForSettled(crawler, page);
+  }
+  return true;
+}
+
+/**
+ * Bring the page back to a frontier entry's route (used before expanding it
+ * and as the "go back" step between clicks in discoverAndCapture).
+ */
+async function navigateToEntry(crawler, page, entry) {
+  if (entry.clickPath) return replayClicks(crawler, page, entry.clickPath);
+  await openRoute(crawler, page, entry.url);
+  return true;
+}
+
+/**
+ * Capture a click-only route (e.g. a seeded sidebar page): replay every click
+ * but the last, then check the last click actually changes the content.
+ */
+async function captureByClicks(crawler, page, requestContext, entry) {
+  if (!claimRoute(crawler, entry.key)) return null;
+
+  try {
+    const { from, clicks } = entry.clickPath;
+    if (!(await replayClicks(crawler, page, { from, clicks: clicks.slice(0, -1) }))) {
+      crawler.warn(`Could not replay click path to ${entry.key}`);
+      return null;
+    }
+
+    const lastStep = clicks[clicks.length - 1];
+    const contentBefore = await getContentFingerprint(page);
+    const didClick = await clickStep(page, lastStep);
+    if (!didClick) {
+      crawler.warn(`Could not find button: "${lastStep.text}"`);
+      return null;
+    }
+
+    await waitForSettled(crawler, page);
+    const fingerprint = await getContentFingerprint(page);
+    if (fingerprint === contentBefore) {
+      crawler.log(`  ⏭️  Skipping ${entry.key} — content didn't change after click`);
+      return null;
+    }
+
+    // Check for (near-)duplicate content
+    const signature = await getContentSignature(page);
+    const duplicate = findNearDuplicate(crawler, signature);
+    if (duplicate) {
+      crawler.skip("route", entry.key, describeDuplicate(duplicate));
+      return null;
+    }
+
+    const { title, html, css, cssBlocks, settleMs } = await snapshotPage(crawler, page, requestContext);
+    const route = {
+      key: entry.key,
+      url: page.url(),
+      title,
+      html,
+      css,
+      cssBlocks,
+      externalLinks: crawler.siteExternalLinks,
+      newRoutes: await discoverHrefRoutes(crawler, page),
+      depth: entry.depth,
+      parent: entry.parent,
+      settleMs,
+      clickPath: entry.clickPath,
+      _fingerprint: fingerprint,
+      _signature: signature,
+    };
+    crawler.recordRoute(route);
+    if (!crawler.navMap.has(entry.key)) {
+      crawler.navMap.set(entry.key, { label: keyToDefaultLabel(entry.key) });
+    }
+    return route;
+  } finally {
+    releaseRoute(crawler, entry.key);
+  }
+}
+
+/**
+ * Drain a shared frontier with one worker per page.
+ * Workers pull entries in breadth-first order. A worker that finds the
+ * frontier empty waits while others are still busy, since they may queue
+ * more routes; the pool finishes once nothing is queued or in progress.
+ */
+async function runWorkerPool(crawler, pages, frontier, processEntry) {
+  let busy = 0;
+  let waiters = [];
+  const notify = () => {
+    waiters.forEach(resolve => resolve());
+    waiters = [];
+  };
+
+  async function worker(page, workerId) {
+    while (crawler.capturedRoutes.size < crawler.config.maxPages) {
+      const entry = frontier.shift();
+      if (!entry) {
+        if (busy === 0) break;
+        await new Promise(resolve => waiters.push(resolve));
+        continue;
+      }
+      busy++;
+      try {
+        await processEntry(page, entry, workerId);
+      } catch (err) {
+        crawler.warn(`[w${workerId}] Error crawling ${entry.key}: ${err.message}`);
+      } finally {
+        busy--;
+        notify();
+      }
+    }
+    notify();
+  }
+
+  await Promise.all(pages.map((page, i) => worker(page, i + 1)));
+}
+
+// ── Crawl ──────────────────────────────────────────────────────────────────
 
+/** A browser context with the crawler's in-page hooks installed. */
+async function newCrawlContext(crawler, browser) {
   const context = await browser.newContext({
-    userAgent: "Mozilla/5.0 (compatible; StaticSiteCrawler/1.0)",
-    viewport: { width: 1280, height: 720 },
+    userAgent: crawler.config.userAgent,
+    viewport: crawler.config.viewport,
   });
 
+  // Report pushState/replaceState/popstate transitions from every page, and
+  // let page.evaluate callbacks describe and re-find clicked elements
+  await context.addInitScript(installHistoryHook);
+  await context.addInitScript(installClickLocator, CLICKABLE_QUERY);
+  return context;
+}
+
+/**
+ * Capture the landing page and everything reachable from it into
+ * crawler.capturedRoutes. The caller owns (and closes) the browser.
+ */
+async function crawlSite(crawler, browser) {
+  const context = await newCrawlContext(crawler, browser);
   const page = await context.newPage();
+  trackInflightRequests(crawler, page);
 
   // ── Step 1: Load the site and capture landing page ────────────────────
-  console.log("📡 Loading site and discovering routes...\n");
+  crawler.log("📡 Loading site and discovering routes...\n");
 
-  await safeGoto(page, BASE_URL);
-  await page.waitForTimeout(RENDER_DELAY);
+  await safeGoto(crawler, page, crawler.config.url);
+  crawler.log(`  ⏱️  Landing page settled in ${crawler.lastSettleMs.get(page)}ms`);
 
   // Capture the landing page first (also extract external links — shared by all pages)
-  const landingKey = routeKey(page.url()) || "/";
-  const landingHtml = await extractCleanHTML(page);
-  const landingCss = await extractAllCSS(page);
-  const landingTitle = await page.title();
-  const landingAssets = await extractAssetUrls(page);
+  const landingKey = routeKey(crawler, page.url()) || "/";
+  const landing = await snapshotPage(crawler, page, context.request);
   const landingFingerprint = await getContentFingerprint(page);
-  siteExternalLinks = await extractExternalLinks(page);
-  console.log(`  🔗 Extracted ${siteExternalLinks.length} external links from <head>`);
-
-  if (DOWNLOAD_ASSETS) {
-    for (const u of landingAssets) await downloadAsset(u, context.request);
-    for (const css of landingCss) {
-      const matches = css.match(/url\(["']?(https?:\/\/[^"')]+)["']?\)/g) || [];
-      for (const m of matches) {
-        await downloadAsset(m.replace(/url\(["']?/, "").replace(/["']?\)/, ""), context.request);
-      }
-    }
+  const landingSignature = await getContentSignature(page);
+  crawler.siteExternalLinks = await extractExternalLinks(page);
+  crawler.log(`  🔗 Extracted ${crawler.siteExternalLinks.length} external links from <head>`);
+  if (crawler.config.offlineFonts) {
+    crawler.siteExternalLinks = await localizeExternalLinks(crawler, crawler.siteExternalLinks, context.request);
+    crawler.log(`  📴 Hosting CDN stylesheets and fonts locally (${crawler.siteExternalLinks.length} stylesheet links kept)`);
   }
 
-  capturedRoutes.set(landingKey, {
+  crawler.recordRoute({
     key: landingKey,
     url: page.url(),
-    title: landingTitle,
-    html: landingHtml,
-    css: landingCss.join("\n\n"),
-    externalLinks: siteExternalLinks,
+    title: landing.title,
+    html: landing.html,
+    css: landing.css,
+    cssBlocks: landing.cssBlocks,
+    externalLinks: crawler.siteExternalLinks,
     newRoutes: [],
+    depth: 0,
+    parent: null,
+    settleMs: landing.settleMs,
     _fingerprint: landingFingerprint,
+    _signature: landingSignature,
   });
-  discoveredRoutes.add(landingKey);
-  navMap.set(landingKey, { label: "Overview" });
-  console.log(`  ✅ Landing: ${landingKey} (fingerprint: ${landingFingerprint.slice(0, 40)}...)\n`);
-
-  // ── Step 1b: Seed base pages from sidebar buttons ──
-  const seeded = await seedSidebarRoutesFromPage(page);
+  crawler.navMap.set(landingKey, { label: "Overview" });
+  crawler.log(`  ✅ Landing: ${landingKey} (fingerprint: ${landingFingerprint.slice(0, 40)}...)\n`);
+
+  // ── Step 1b: Seed exact routes from the app's router; guess base pages
+  // from sidebar buttons only when the router can't be read ──
+  const routerSeeds = crawler.config.introspectRouter ? await seedRouterRoutes(crawler, page) : [];
+  const useRouter = routerSeeds.length > 0;
+  const seeded = useRouter ? [] : await seedSidebarRoutesFromPage(crawler, page);
   for (const item of seeded) {
-    if (item.key && !discoveredRoutes.has(item.key)) {
-      discoveredRoutes.add(item.key);
-      navMap.set(item.key, { label: item.label });
+    if (item.key && !crawler.discoveredRoutes.has(item.key)) {
+      crawler.discoveredRoutes.add(item.key);
+      crawler.navMap.set(item.key, { label: item.label });
     }
   }
-  console.log(`  🌱 Seeded ${seeded.length} sidebar base pages: ${seeded.map(s => s.label).join(", ")}\n`);
+  if (useRouter) {
+    crawler.log(`  🌱 Seeded ${routerSeeds.length} routes from the app's router: ${routerSeeds.map(s => s.label).join(", ")}\n`);
+  } else {
+    crawler.log(`  🌱 Seeded ${seeded.length} sidebar base pages: ${seeded.map(s => s.label).join(", ")}\n`);
+  }
+
+  // ── Step 1c: Routes supplied by the `seeds` setting ──
+  const supplied = await loadSuppliedSeeds(crawler, context.request);
+  for (const item of supplied) {
+    crawler.discoveredRoutes.add(item.key);
+    // A label given with the route beats the one guessed from the sidebar
+    if (item.label) crawler.navMap.set(item.key, { label: item.label, exact: true });
+  }
+  if (crawler.config.seeds.length > 0) {
+    crawler.log(`  🌱 Seeded ${supplied.length} routes from ${crawler.config.seeds.length} source(s)\n`);
+  }
 
-  // ── Step 2: Click each sidebar button, capture the page, then crawl its children ────────
-  console.log("🔍 Crawling base pages via sidebar button clicks...\n");
+  // ── Step 2: Breadth-first crawl of the route frontier ────────────────
+  // Router or sidebar base pages, supplied seeds and the landing page's
+  // <a href> routes form depth 1.
+  // Every captured route is then expanded (links + clickable labels) and
+  // whatever it reveals is queued one level deeper.
+  crawler.log("🔍 Crawling route frontier (breadth-first)...\n");
+
+  const frontier = [];
+  const queued = new Set([landingKey]);
+  const enqueue = (entry) => {
+    if (!entry.key || queued.has(entry.key)) return;
+    const reason = routeSkipReason(crawler, entry.key, entry.depth);
+    if (reason) {
+      crawler.skip("route", entry.key, reason);
+      return;
+    }
+    // Seeded sidebar buttons haven't been through the label rules yet
+    const lastClick = entry.clickPath && entry.clickPath.clicks[entry.clickPath.clicks.length - 1];
+    const labelReason = lastClick && labelSkipReason(crawler, lastClick.text);
+    if (labelReason) {
+      crawler.skip("label", lastClick.text, labelReason);
+      return;
+    }
+    queued.add(entry.key);
+    frontier.push(entry);
+  };
 
   for (const item of seeded) {
-    if (capturedRoutes.size >= MAX_PAGES) break;
-    if (capturedRoutes.has(item.key)) continue;
+    enqueue({
+      key: item.key,
+      url: `${crawler.config.url}${item.key}`,
+      depth: 1,
+      parent: landingKey,
+      clickPath: { from: crawler.config.url, clicks: [item.step] },
+    });
+  }
+  for (const item of [...routerSeeds, ...supplied]) {
+    enqueue({ key: item.key, url: item.url, depth: 1, parent: landingKey });
+  }
+  for (const url of await discoverHrefRoutes(crawler, page)) {
+    enqueue({ key: routeKey(crawler, url), url, depth: 1, parent: landingKey });
+  }
 
-    // Reload the site to get back to landing (clean state)
-    await safeGoto(page, BASE_URL);
-    await page.waitForTimeout(RENDER_DELAY);
+  // Exclude sidebar base-page buttons so clicking "Typography" from "Colors" page
+  // doesn't get captured as a child of Colors
+  const sidebarLabels = new Set(seeded.map(s => s.buttonText));
 
-    // Click the sidebar button by its text
-    const contentBefore = await getContentFingerprint(page);
-    const didClick = await clickByText(page, item.buttonText);
-    if (!didClick) {
-      console.log(`  ⚠️ Could not find sidebar button: "${item.buttonText}"`);
-      continue;
+  const processEntry = async (page, entry, workerId) => {
+    if (crawler.capturedRoutes.has(entry.key)) {
+      // Captured earlier by a click from its parent — bring it back on screen
+      if (!(await navigateToEntry(crawler, page, entry).catch(() => false))) {
+        crawler.warn(`Could not return to ${entry.key}, skipping its children`);
+        return;
+      }
+    } else {
+      if (crawler.claimedRoutes.has(entry.key)) {
+        // Another worker is capturing it via a click right now; it will be
+        // queued again from that worker's results.
+        queued.delete(entry.key);
+        return;
+      }
+      const route = entry.clickPath
+        ? await captureByClicks(crawler, page, context.request, entry)
+        : await captureRoute(crawler, page, entry.url, context.request, entry);
+      if (!route) return;
+      crawler.log(`  ✅ [w${workerId}] Captured ${route.key} (depth ${entry.depth}, from ${entry.parent})`);
+      for (const url of route.newRoutes) {
+        enqueue({ key: routeKey(crawler, url), url, depth: entry.depth + 1, parent: entry.key });
+      }
+      // Nested <Routes> only show up in the fiber tree once their parent renders
+      if (useRouter) {
+        for (const item of await seedRouterRoutes(crawler, page)) {
+          enqueue({ key: item.key, url: item.url, depth: entry.depth + 1, parent: entry.key });
+        }
+      }
     }
 
-    await page.waitForTimeout(RENDER_DELAY);
-    const contentAfter = await getContentFingerprint(page);
-    if (contentAfter === contentBefore) {
-      console.log(`  ⏭️  Skipping ${item.key} — content didn't change after click`);
-      continue;
+    if (crawler.capturedRoutes.size >= crawler.config.maxPages) return;
+    if (crawler.config.maxClickDepth > 0 && entry.depth >= crawler.config.maxClickDepth) {
+      crawler.log(`  📏 [w${workerId}] Not crawling children of ${entry.key} — maxClickDepth ${crawler.config.maxClickDepth} reached`);
+      return;
     }
 
-    // Check for duplicate content
-    const fingerprint = await getContentFingerprint(page);
-    const duplicateFingerprint = [...capturedRoutes.values()].some(r => r._fingerprint && r._fingerprint === fingerprint);
-    if (duplicateFingerprint) {
-      console.log(`  ⏭️  Skipping ${item.key} — content identical to existing page`);
-      continue;
+    // Crawl deeper: click through this page's buttons/links and capture sub-pages
+    crawler.log(`  🔍 [w${workerId}] Crawling children of ${entry.key} (depth ${entry.depth})...`);
+    const { newRouteUrls, clickedRoutes } = await discoverAndCapture(crawler, 
+      page, context.request, entry.key, crawler.navMap.get(entry.key)?.label,
+      () => navigateToEntry(crawler, page, entry), sidebarLabels,
+    );
+    for (const url of newRouteUrls) {
+      enqueue({ key: routeKey(crawler, url), url, depth: entry.depth + 1, parent: entry.key });
     }
+    for (const child of clickedRoutes) {
+      enqueue({
+        key: child.key,
+        url: child.url,
+        depth: entry.depth + 1,
+        parent: entry.key,
+        clickPath: child.clickPath,
+      });
+    }
+    crawler.log(`    📍 Queued ${newRouteUrls.length + clickedRoutes.length} routes from ${entry.key} (${frontier.length} in frontier)\n`);
+  };
+
+  // One page per worker; they share the context (cookies, cache, request API)
+  const pages = [page];
+  while (pages.length < crawler.config.concurrency) {
+    const workerPage = await context.newPage();
+    trackInflightRequests(crawler, workerPage);
+    pages.push(workerPage);
+  }
+  crawler.log(`  👷 ${pages.length} worker(s) crawling in parallel\n`);
 
-    // Capture the page
-    const [html, cssBlocks, assetUrls] = await Promise.all([
-      extractCleanHTML(page),
-      extractAllCSS(page),
-      extractAssetUrls(page),
-    ]);
-    const title = await page.title();
+  await runWorkerPool(crawler, pages, frontier, processEntry);
 
-    if (DOWNLOAD_ASSETS) {
-      for (const assetUrl of assetUrls) {
-        await downloadAsset(assetUrl, context.request);
-      }
-      for (const cssBlock of cssBlocks) {
-        const urlMatches = cssBlock.match(/url\(["']?(https?:\/\/[^"')]+)["']?\)/g) || [];
-        for (const m of urlMatches) {
-          const u = m.replace(/url\(["']?/, "").replace(/["']?\)/, "");
-          await downloadAsset(u, context.request);
-        }
-      }
+  if (frontier.length > 0) {
+    crawler.log(`  ⏹️  maxPages (${crawler.config.maxPages}) reached with ${frontier.length} routes left in the frontier`);
+  }
+  const maxDepth = Math.max(0, ...[...crawler.capturedRoutes.values()].map(r => r.depth || 0));
+  crawler.log(`  📏 Crawl reached depth ${maxDepth}`);
+  logReturnStats(crawler);
+  if (crawler.skipped.size > 0) {
+    crawler.log(`  🚫 Crawl rules skipped ${crawler.skipped.size} routes/labels (see skipped.json)`);
+  }
+  crawler.log("");
+}
+
+/** Summarise how returns to the origin page went and the time history.back() saved. */
+function logReturnStats(crawler) {
+  const { history, historyMs, closed, closedMs, reloads, reloadMs, failedMs } = crawler.returnStats;
+  if (closed > 0) {
+    crawler.log(`  🪟 Closed dialogs/drawers with Escape or their close button ${closed}× (avg ${Math.round(closedMs / closed)}ms) instead of reloading`);
+  }
+  if (history === 0) {
+    if (reloads > 0) crawler.log(`  ↩️  Returned to origin pages by reload ${reloads}× (${(reloadMs / 1000).toFixed(1)}s)`);
+    return;
+  }
+  const avgHistory = Math.round(historyMs / history);
+  if (reloads === 0) {
+    crawler.log(`  ⚡ Returned to origin pages via history.back() ${history}× (avg ${avgHistory}ms), no reloads needed`);
+    return;
+  }
+  const avgReload = reloadMs / reloads;
+  // Every history return would otherwise have been a reload; failed attempts count against it
+  const savedMs = history * avgReload - historyMs - failedMs;
+  crawler.log(
+    `  ⚡ Returned to origin pages via history.back() ${history}× (avg ${avgHistory}ms) ` +
+    `and by reload ${reloads}× (avg ${Math.round(avgReload)}ms) — about ${(savedMs / 1000).toFixed(1)}s saved`
+  );
+}
+
+// ── llms.txt ───────────────────────────────────────────────────────────────
+
+/**
+ * The first plain paragraph of a page's Markdown, without link and emphasis
+ * syntax and cut to about 300 characters — the site summary in llms.txt.
+ */
+function markdownSummary(markdown) {
+  const paragraph = (markdown || "").split("\n\n")
+    .find(block => block.length > 40 && !/^(#|\||-|\d+\.|```|>|!\[|\[image:)/.test(block));
+  if (!paragraph) return null;
+  const text = paragraph
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\*\*|\\(?=[\\`*_[\]])/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > 300 ? text.slice(0, 297).replace(/\s+\S*$/, "") + "…" : text;
+}
+
+/** Title and summary of the site, from the landing page. */
+function siteSummary(crawler) {
+  const landing = crawler.capturedRoutes.get("/") || crawler.capturedRoutes.values().next().value;
+  return {
+    title: landing?.title || new URL(crawler.config.url).hostname,
+    summary: markdownSummary(landing?.markdown) || `Static snapshot of ${crawler.config.url}`,
+  };
+}
+
+/** Manifest entries in nav order (see navSections), with the label each has there. */
+function navOrderedEntries(crawler, manifest) {
+  const byRoute = new Map(manifest.map(entry => [entry.route, entry]));
+  return navSections(crawler).map(({ heading, short, keys }) => ({
+    heading,
+    entries: keys.filter(key => byRoute.has(key)).map(key => ({ ...byRoute.get(key), navLabel: navLabel(crawler, key, short) })),
+  }));
+}
+
+/**
+ * llms.txt (https://llmstxt.org): the site title, a summary, and every page
+ * as a Markdown link under the nav bar's section headings. Links go to the
+ * .md copies when those are written, otherwise to the HTML pages.
+ */
+function buildLlmsTxt(crawler, manifest) {
+  const { title, summary } = siteSummary(crawler);
+  const lines = [
+    `# ${title}`,
+    "",
+    `> ${summary}`,
+    "",
+    `Static snapshot of ${crawler.config.url} (${manifest.length} pages). ` +
+      `llms-full.txt has the full text of every page in one file.`,
+  ];
+  for (const { heading, entries } of navOrderedEntries(crawler, manifest)) {
+    if (entries.length === 0) continue;
+    lines.push("", `## ${heading || "Pages"}`, "");
+    for (const entry of entries) {
+      // SPAs often keep one document title for every page; only a distinct one says anything
+      const description = entry.title && entry.title !== entry.navLabel && entry.title !== title ? `: ${entry.title}` : "";
+      lines.push(`- [${entry.navLabel}](${entry.markdownFile || entry.file})${description}`);
     }
+  }
+  return lines.join("\n") + "\n";
+}
 
-    capturedRoutes.set(item.key, {
-      key: item.key,
-      url: `${BASE_URL}${item.key}`,
-      title,
-      html,
-      css: cssBlocks.join("\n\n"),
-      externalLinks: siteExternalLinks,
-      newRoutes: [],
-      _fingerprint: fingerprint,
+/**
+ * llms-full.txt: the site title and summary, then every page's Markdown
+ * with its front-matter (route, title, source URL), in nav order.
+ */
+function buildLlmsFullTxt(crawler, manifest) {
+  const { title, summary } = siteSummary(crawler);
+  const pages = navOrderedEntries(crawler, manifest)
+    .flatMap(({ entries }) => entries)
+    .map(entry => crawler.capturedRoutes.get(entry.route))
+    .filter(route => route && route.markdown != null)
+    .map(markdownFile);
+  return [`# ${title}`, "", `> ${summary}`, "", ...pages].join("\n");
+}
+
+/**
+ * The Markdown of a previous run's pages (route key → Markdown), so a replay
+ * can rebuild llms.txt and llms-full.txt: from each page's .md file, else
+ * from its part of the old llms-full.txt.
+ */
+async function readPreviousMarkdown(crawler, manifest) {
+  const frontMatter = /^---\nroute: (".*")\ntitle: .*\nsource: .*\n---\n\n/gm;
+  const markdown = new Map();
+  const fullPath = path.join(crawler.config.outputDir, "llms-full.txt");
+  if (await fs.pathExists(fullPath)) {
+    const text = await fs.readFile(fullPath, "utf-8");
+    const pages = [...text.matchAll(frontMatter)];
+    pages.forEach((match, i) => {
+      // Pages are joined with a newline
+      const end = i + 1 < pages.length ? pages[i + 1].index - 1 : text.length;
+      markdown.set(JSON.parse(match[1]), text.slice(match.index + match[0].length, end));
     });
-    discoveredRoutes.add(item.key);
-    console.log(`  ✅ Captured base page: ${item.key} (${item.label})`);
-
-    // Now crawl deeper: discover buttons/links on this page and capture sub-pages
-    if (capturedRoutes.size < MAX_PAGES) {
-      const pageBreadcrumb = item.label;
-      const buttonText = item.buttonText;
-      // Function to navigate back to this base page: reload site + click the sidebar button
-      const navigateToThisPage = async () => {
-        await safeGoto(page, BASE_URL);
-        await page.waitForTimeout(RENDER_DELAY);
-        await clickByText(page, buttonText);
-        await page.waitForTimeout(RENDER_DELAY);
-      };
-      // Exclude sidebar base-page buttons so clicking "Typography" from "Colors" page
-      // doesn't get captured as a child of Colors
-      const sidebarLabels = new Set(seeded.map(s => s.buttonText));
-      console.log(`  🔍 Crawling children of ${item.key}...`);
-      const moreRoutes = await discoverAndCapture(page, context.request, item.key, pageBreadcrumb, navigateToThisPage, sidebarLabels);
-      console.log(`    📍 Discovered ${moreRoutes.length} additional URLs from ${item.key}\n`);
+  }
+  for (const entry of manifest) {
+    const file = entry.markdownFile && path.join(crawler.config.outputDir, entry.markdownFile);
+    if (file && await fs.pathExists(file)) {
+      markdown.set(entry.route, (await fs.readFile(file, "utf-8")).replace(/^---\n[\s\S]*?\n---\n\n/, ""));
     }
   }
+  return markdown;
+}
+
+// ── Output ─────────────────────────────────────────────────────────────────
 
-  await browser.close();
+/**
+ * assets.json: what happened to every asset the pages referred to (see
+ * recordAsset), and a one-line summary in the log. A replay merges its
+ * entries into the report of the run it updates.
+ */
+async function writeAssetReport(crawler, { merge = false } = {}) {
+  if (crawler.assetReport.size === 0) return;
+  const reportPath = path.join(crawler.config.outputDir, "assets.json");
+  const entries = new Map();
+  if (merge && await fs.pathExists(reportPath)) {
+    for (const entry of await fs.readJson(reportPath)) entries.set(entry.url, entry);
+  }
+  for (const entry of crawler.assetReport.values()) entries.set(entry.url, entry);
+  await fs.writeFile(reportPath, JSON.stringify([...entries.values()], null, 2), "utf-8");
 
-  // ── Step 4: Write static files ───────────────────────────────────────
-  console.log(`\n📝 Writing ${capturedRoutes.size} static pages...\n`);
+  const counts = {};
+  for (const { status } of crawler.assetReport.values()) counts[status] = (counts[status] || 0) + 1;
+  const summary = Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(", ");
+  crawler.log(`  📦 ${crawler.assetReport.size} assets: ${summary} (see assets.json)`);
+}
 
-  const manifest = [];
-  const writtenFiles = new Set();
+/**
+ * One warning listing the internal links rewriteLinks couldn't point at a
+ * captured page (not crawled, skipped by the rules, or gone), with the pages
+ * they appear on. They stay as they were in the output and won't work
+ * offline.
+ */
+function warnUnresolvedLinks(crawler) {
+  if (crawler.unresolvedLinks.size === 0) return;
+  const lines = [...crawler.unresolvedLinks].map(([href, from]) => {
+    const pages = [...from];
+    const more = pages.length > 3 ? ` and ${pages.length - 3} more` : "";
+    return `    ${href} (on ${pages.slice(0, 3).join(", ")}${more})`;
+  });
+  crawler.warn(`${crawler.unresolvedLinks.size} internal links don't lead to a captured page and were left as they are:\n${lines.join("\n")}`);
+}
+
+/**
+ * Write every captured route (and its .md copy) plus manifest.json,
+ * assets.json, llms.txt, llms-full.txt, sitemap.xml and _sitemap.html into
+ * the output directory. Returns the manifest: { outputSize, routes }, where
+ * outputSize compares the bytes of HTML + CSS written with what inlining all
+ * CSS in every page would have taken.
+ */
+async function writeSite(crawler) {
+  crawler.log(`\n📝 Writing ${crawler.capturedRoutes.size} static pages...\n`);
 
-  for (const [key, route] of capturedRoutes) {
+  const manifest = [];
+  // Filename → the route key written there
+  const writtenFiles = new Map();
+  // Primary filenames win over clean-URL copies when the two collide
+  const primaryFiles = new Set([...crawler.capturedRoutes.keys()].map(routeToFilename));
+
+  // Bytes of HTML and CSS written, and what they would be with all CSS inlined
+  const sharedCss = crawler.config.sharedCss ? planSharedCss(crawler) : null;
+  const outputSize = { before: 0, after: 0, sharedCssFiles: 0, sharedCssBytes: 0 };
+  const writePage = async (route, file) => {
+    const staticHTML = buildPage(crawler, route, file, sharedCss);
+    const fullPath = path.join(crawler.config.outputDir, file);
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.writeFile(fullPath, staticHTML, "utf-8");
+    outputSize.after += Buffer.byteLength(staticHTML);
+    // Without sharing, the page would carry the CSS of the files it links inline
+    const linkedCss = sharedCss ? sharedCss.pages.get(file) : [];
+    outputSize.before += Buffer.byteLength(staticHTML) +
+      linkedCss.reduce((sum, name) => sum + Buffer.byteLength(sharedCss.files.get(name)), 0);
+  };
+
+  for (const [key, route] of crawler.capturedRoutes) {
     const filename = routeToFilename(key);
 
-    // Avoid writing the same file twice (e.g., / and #/ both → index.html)
+    // A hash route and a pathname route with the same path (#/about, /about)
+    // share a filename; the first one captured keeps it
     if (writtenFiles.has(filename)) {
-      console.log(`  ⏭️  Skipping duplicate: ${filename} (${key})`);
+      crawler.warn(`${key} and ${writtenFiles.get(filename)} both map to ${filename}; only ${writtenFiles.get(filename)} was written`);
       continue;
     }
-    writtenFiles.add(filename);
-
-    const fullPath = path.join(OUTPUT_DIR, filename);
-    const staticHTML = buildPage(route);
+    writtenFiles.set(filename, key);
+    await writePage(route, filename);
+    const markdownFilename = crawler.config.markdown && route.markdown != null ? routeToMarkdownFilename(key) : null;
+    if (markdownFilename) {
+      await fs.writeFile(path.join(crawler.config.outputDir, markdownFilename), markdownFile(route), "utf-8");
+    }
 
-    await fs.ensureDir(path.dirname(fullPath));
-    await fs.writeFile(fullPath, staticHTML, "utf-8");
+    // Clean-URL copy for pathname routes: /about → about/index.html
+    let cleanFile = crawler.config.cleanUrls ? routeToCleanFilename(key) : null;
+    if (cleanFile && (primaryFiles.has(cleanFile) || writtenFiles.has(cleanFile))) cleanFile = null;
+    if (cleanFile) {
+      writtenFiles.set(cleanFile, key);
+      await writePage(route, cleanFile);
+    }
 
     manifest.push({
       route: key,
       file: filename,
+      cleanFile,
+      markdownFile: markdownFilename,
       url: route.url,
       title: route.title,
+      label: crawler.navMap.get(key)?.label ?? null,
+      depth: route.depth ?? 0,
+      parent: route.parent ?? null,
+      settleMs: route.settleMs ?? null,
+      clickPath: route.clickPath ?? null,
+      overlay: route.overlay ?? false,
+      sections: route.sections ?? [],
+      cssPrunedBytes: route.cssPrunedBytes ?? null,
     });
 
-    console.log(`  ✅ ${filename} (${key})`);
+    crawler.emit("page", { route: key, file: filename, cleanFile });
+    crawler.log(`  ✅ ${filename}${cleanFile ? ` + ${cleanFile}` : ""}${markdownFilename ? ` + ${markdownFilename}` : ""} (${key})`);
+  }
+
+  warnUnresolvedLinks(crawler);
+  await writeAssetReport(crawler);
+
+  // Shared stylesheets, content-hashed so pages never pick up a stale copy
+  if (sharedCss) {
+    await fs.ensureDir(path.join(crawler.config.outputDir, "assets", "css"));
+    for (const [name, content] of sharedCss.files) {
+      await fs.writeFile(path.join(crawler.config.outputDir, "assets", "css", name), content, "utf-8");
+      outputSize.sharedCssFiles++;
+      outputSize.sharedCssBytes += Buffer.byteLength(content);
+    }
+    outputSize.after += outputSize.sharedCssBytes;
+    const kb = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+    crawler.log(`  🎨 ${outputSize.sharedCssFiles} shared stylesheets (${kb(outputSize.sharedCssBytes)}) — HTML + CSS ${kb(outputSize.before)} → ${kb(outputSize.after)}`);
   }
 
   // Manifest
+  const manifestData = { outputSize, routes: manifest };
   await fs.writeFile(
-    path.join(OUTPUT_DIR, "manifest.json"),
-    JSON.stringify(manifest, null, 2),
+    path.join(crawler.config.outputDir, "manifest.json"),
+    JSON.stringify(manifestData, null, 2),
     "utf-8"
   );
 
+  if (crawler.config.llmsTxt) {
+    await fs.writeFile(path.join(crawler.config.outputDir, "llms.txt"), buildLlmsTxt(crawler, manifest), "utf-8");
+    await fs.writeFile(path.join(crawler.config.outputDir, "llms-full.txt"), buildLlmsFullTxt(crawler, manifest), "utf-8");
+  }
+
   // Sitemap
   const sitemapEntries = manifest
     .map(m => `  <url><loc>${m.file}</loc></url>`)
     .join("\n");
   await fs.writeFile(
-    path.join(OUTPUT_DIR, "sitemap.xml"),
+    path.join(crawler.config.outputDir, "sitemap.xml"),
     `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${sitemapEntries}
@@ -1487,8 +4209,17 @@ ${sitemapEntries}
     "utf-8"
   );
 
+  // Routes and labels left out by the crawl rules, with the reason
+  if (crawler.skipped.size > 0) {
+    await fs.writeFile(
+      path.join(crawler.config.outputDir, "skipped.json"),
+      JSON.stringify([...crawler.skipped.values()], null, 2),
+      "utf-8"
+    );
+  }
+
   // .nojekyll
-  await fs.writeFile(path.join(OUTPUT_DIR, ".nojekyll"), "", "utf-8");
+  await fs.writeFile(path.join(crawler.config.outputDir, ".nojekyll"), "", "utf-8");
 
   // Site index page for easy navigation
   const indexLinks = manifest
@@ -1496,12 +4227,12 @@ ${sitemapEntries}
     .join("\n");
 
   await fs.writeFile(
-    path.join(OUTPUT_DIR, "_sitemap.html"),
+    path.join(crawler.config.outputDir, "_sitemap.html"),
     `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
-  <title>Site Map — ${BASE_URL}</title>
+  <title>Site Map — ${crawler.config.url}</title>
   <style>
     body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
     li { margin: 0.5rem 0; }
@@ -1511,7 +4242,7 @@ ${sitemapEntries}
 </head>
 <body>
   <h1>Static Site Map</h1>
-  <p>Crawled from <code>${BASE_URL}</code> — ${manifest.length} pages</p>
+  <p>Crawled from <code>${crawler.config.url}</code> — ${manifest.length} pages</p>
   <ul>
 ${indexLinks}
   </ul>
@@ -1520,11 +4251,239 @@ ${indexLinks}
     "utf-8"
   );
 
-  console.log(`\n✨ Done! ${capturedRoutes.size} pages + ${downloadedAssets.size} assets`);
-  console.log(`   Output: ${OUTPUT_DIR}\n`);
+  return manifestData;
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run a crawl end to end and resolve with its result:
+ * { routes, assets, manifest, warnings, skipped, outputDir }.
+ */
+async function runCrawl(crawler) {
+  crawler.log(`\n🚀 SPA-Aware Site Crawler`);
+  crawler.log(`   Source:       ${crawler.config.url}`);
+  crawler.log(`   Output:       ${crawler.config.outputDir}`);
+  crawler.log(`   Max pages:    ${crawler.config.maxPages}`);
+  crawler.log(`   Settle:       ${crawler.config.settleQuiet}ms quiet, max ${crawler.config.settleTimeout}ms`);
+  crawler.log(`   Concurrency:  ${crawler.config.concurrency}`);
+  crawler.log(`   Assets:       ${crawler.config.downloadAssets ? "download" : "skip"}\n`);
+
+  // Clean slate
+  await fs.remove(crawler.config.outputDir);
+  await fs.ensureDir(crawler.config.outputDir);
+
+  const browser = await chromium.launch({
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+
+  try {
+    await crawlSite(crawler, browser);
+    if (crawler.config.pruneCss) {
+      crawler.log(`\n✂️  Pruning unused CSS...\n`);
+      await pruneUnusedCss(crawler, browser);
+    }
+    // llms-full.txt is made of the pages' Markdown even when no .md files are written
+    if (crawler.config.markdown || crawler.config.llmsTxt) await exportMarkdown(crawler, browser);
+  } finally {
+    await browser.close();
+  }
+
+  const manifest = await writeSite(crawler);
+
+  crawler.log(`\n✨ Done! ${crawler.capturedRoutes.size} pages + ${crawler.downloadedAssets.size} assets`);
+  crawler.log(`   Output: ${crawler.config.outputDir}\n`);
+
+  return {
+    routes: [...crawler.capturedRoutes.values()].map(({ _fingerprint, _signature, ...route }) => route),
+    assets: Object.fromEntries(crawler.downloadedAssets),
+    manifest,
+    warnings: [...crawler.warnings],
+    skipped: [...crawler.skipped.values()],
+    outputDir: crawler.config.outputDir,
+  };
+}
+
+// ── Replay ─────────────────────────────────────────────────────────────────
+
+/**
+ * Recapture a single route of the last run in `outputDir`: open its URL or
+ * replay its recorded click path, then rewrite its page(s) and manifest
+ * entry in place. Other pages are left alone; their manifest entries are
+ * loaded so links and the nav bar still point at them. The recaptured page
+ * inlines all of its CSS instead of linking the run's shared stylesheets.
+ * llms.txt and llms-full.txt are rebuilt with its new text.
+ * `target` is a route key ("#/components/badge") or a URL.
+ * Resolves with the updated manifest entry.
+ */
+async function replayRoute(crawler, target) {
+  const { outputDir } = crawler.config;
+  const manifestPath = path.join(outputDir, "manifest.json");
+  if (!(await fs.pathExists(manifestPath))) {
+    throw new Error(`No manifest.json in ${outputDir} — run a full crawl first`);
+  }
+  const manifestData = await fs.readJson(manifestPath);
+  // Manifests from before shared CSS are a bare list of routes
+  const manifest = Array.isArray(manifestData) ? manifestData : manifestData.routes;
+  let targetKey = target;
+  try {
+    targetKey = routeKey(crawler, new URL(target, crawler.config.url).href) || target;
+  } catch {}
+  const entry = manifest.find(m => m.route === target) || manifest.find(m => m.route === targetKey);
+  if (!entry) throw new Error(`${target} is not in ${manifestPath}`);
+
+  const previousMarkdown = crawler.config.llmsTxt ? await readPreviousMarkdown(crawler, manifest) : new Map();
+  for (const m of manifest) {
+    crawler.capturedRoutes.set(m.route, {
+      key: m.route, url: m.url, title: m.title, depth: m.depth, parent: m.parent,
+      settleMs: m.settleMs, clickPath: m.clickPath || null, overlay: !!m.overlay,
+      markdown: previousMarkdown.get(m.route) ?? null,
+    });
+    if (m.label) crawler.navMap.set(m.route, { label: m.label });
+  }
+
+  crawler.log(`\n🔁 Replaying ${entry.route}${entry.clickPath ? ` (${entry.clickPath.clicks.length} clicks from ${entry.clickPath.from})` : ` (${entry.url})`}\n`);
+
+  const browser = await chromium.launch({
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  let route;
+  try {
+    const context = await newCrawlContext(crawler, browser);
+    const page = await context.newPage();
+    trackInflightRequests(crawler, page);
+
+    // Head links come from the landing page, like in a full crawl
+    await safeGoto(crawler, page, crawler.config.url);
+    crawler.siteExternalLinks = await extractExternalLinks(page);
+    if (crawler.config.offlineFonts) {
+      crawler.siteExternalLinks = await localizeExternalLinks(crawler, crawler.siteExternalLinks, context.request);
+    }
+
+    if (entry.clickPath) {
+      if (!(await replayClicks(crawler, page, entry.clickPath))) {
+        throw new Error(`Could not replay the click path to ${entry.route}`);
+      }
+    } else if (entry.depth > 0) {
+      await openRoute(crawler, page, entry.url);
+    }
+
+    let root = null;
+    if (entry.overlay) {
+      const overlay = await findNewOverlay(page, false);
+      if (!overlay) throw new Error(`The dialog for ${entry.route} did not open`);
+      root = `[data-crawler-overlay="${overlay.marker}"]`;
+    }
+
+    const { title, html, css, cssBlocks, settleMs } = await snapshotPage(crawler, page, context.request, { root });
+    route = {
+      ...crawler.capturedRoutes.get(entry.route),
+      url: entry.clickPath ? page.url() : entry.url,
+      title,
+      html,
+      css,
+      cssBlocks,
+      externalLinks: crawler.siteExternalLinks,
+      newRoutes: [],
+      settleMs,
+      markdown: null,
+    };
+    crawler.recordRoute(route);
+    if (crawler.config.pruneCss) await pruneUnusedCss(crawler, browser, [route]);
+    if (crawler.config.markdown || crawler.config.llmsTxt) await exportMarkdown(crawler, browser, [route]);
+  } finally {
+    await browser.close();
+  }
+
+  await fs.writeFile(path.join(outputDir, entry.file), buildPage(crawler, route, entry.file), "utf-8");
+  if (entry.cleanFile) {
+    await fs.writeFile(path.join(outputDir, entry.cleanFile), buildPage(crawler, route, entry.cleanFile), "utf-8");
+  }
+  if (crawler.config.markdown && route.markdown != null) {
+    entry.markdownFile = routeToMarkdownFilename(entry.route);
+    await fs.writeFile(path.join(outputDir, entry.markdownFile), markdownFile(route), "utf-8");
+  } else {
+    // The .md of the last run no longer matches the page
+    if (entry.markdownFile) await fs.remove(path.join(outputDir, entry.markdownFile));
+    entry.markdownFile = null;
+  }
+  warnUnresolvedLinks(crawler);
+  await writeAssetReport(crawler, { merge: true });
+  if (entry.sections && entry.sections.length > 0) {
+    crawler.warn(`${entry.route}: its dialog sections (${entry.sections.map(s => "#" + s.id).join(", ")}) are only captured by a full crawl and were dropped`);
+  }
+  Object.assign(entry, { url: route.url, title: route.title, settleMs: route.settleMs, sections: [], cssPrunedBytes: route.cssPrunedBytes ?? null });
+  await fs.writeFile(manifestPath, JSON.stringify(manifestData, null, 2), "utf-8");
+  if (crawler.config.llmsTxt) {
+    await fs.writeFile(path.join(outputDir, "llms.txt"), buildLlmsTxt(crawler, manifest), "utf-8");
+    await fs.writeFile(path.join(outputDir, "llms-full.txt"), buildLlmsFullTxt(crawler, manifest), "utf-8");
+  }
+
+  crawler.emit("page", { route: entry.route, file: entry.file, cleanFile: entry.cleanFile });
+  crawler.log(`  ✅ ${entry.file}${entry.cleanFile ? ` + ${entry.cleanFile}` : ""} (${entry.route}) recaptured\n`);
+  return entry;
+}
+
+// ── API ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create a crawler from programmatic options (same names as the config
+ * file). Nothing is read from the environment or the working directory
+ * unless `options.config` names a config file. Throws ConfigError.
+ */
+function createCrawler(options = {}) {
+  return new Crawler(loadConfig({ options, autoConfigFile: false }));
 }
 
-main().catch(err => {
-  console.error("Fatal error:", err);
-  process.exit(1);
-});
+/**
+ * Crawl a site and resolve with { routes, assets, manifest, warnings, skipped, outputDir }.
+ * Pass `onLog` / `onWarning` to follow progress; for route and page events
+ * use createCrawler() and subscribe before calling run().
+ */
+async function crawl(options = {}) {
+  const { onLog, onWarning, ...settings } = options;
+  const crawler = createCrawler(settings);
+  if (onLog) crawler.on("log", onLog);
+  if (onWarning) crawler.on("warning", onWarning);
+  return crawler.run();
+}
+
+module.exports = { crawl, createCrawler, Crawler, ConfigError };
+// Internals the unit tests in test/ reach into; not part of the API
+module.exports.internals = { downloadAsset, writeSite, readPreviousMarkdown, routeKey, routeToFilename };
+
+// ── CLI ────────────────────────────────────────────────────────────────────
+
+function readConfigOrExit(argv) {
+  try {
+    const resolved = loadConfig({ argv, env: process.env });
+    if (resolved.help) {
+      console.log(formatHelp());
+      process.exit(0);
+    }
+    return resolved;
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    console.error("\nRun with --help for the list of settings.");
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  // `crawl [options]` crawls the site; `crawl replay <route> [options]` recaptures one route
+  const argv = process.argv.slice(2);
+  const replayTarget = argv[0] === "replay" ? argv[1] : null;
+  if (argv[0] === "replay" && (!replayTarget || replayTarget.startsWith("-"))) {
+    console.error("Usage: crawl replay <route> [options]");
+    process.exit(2);
+  }
+
+  const crawler = new Crawler(readConfigOrExit(replayTarget ? argv.slice(2) : argv));
+  crawler.on("log", message => console.log(message));
+  crawler.on("warning", message => console.warn(`  ⚠️  ${message}`));
+  (replayTarget ? crawler.replay(replayTarget) : crawler.run()).catch(err => {
+    console.error("Fatal error:", err);
+    process.exit(1);
+  });
+}
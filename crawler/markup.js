@@ -0,0 +1,260 @@
+/**
+ * URL rewriting on parsed markup — HTML attributes and CSS url() tokens —
+ * instead of search-and-replace on the raw text.
+ *
+ * The HTML side is a tokenizer for the serialized DOM the crawler captures
+ * (innerHTML): it walks the tags, reads their attributes with entities
+ * decoded, and only touches the attributes that hold URLs. Text, comments
+ * and <script>/<textarea>/<title> contents are copied as they are; <style>
+ * contents go through the CSS side. The CSS side tokenizes comments, strings
+ * and url() so only url() values and @import strings are rewritten.
+ *
+ * Both take a callback, rewrite(url, { kind, tag, attr }) → new URL, or
+ * null/undefined to leave the reference alone. kind is "link" for <a>/<area>
+ * href (a page the user navigates to) and "asset" for everything else.
+ * Anything not rewritten keeps its original spelling byte for byte.
+ */
+
+// Attributes holding one URL, a srcset-style list, or CSS
+const URL_ATTRIBUTES = new Set(["href", "src", "poster", "data-src", "xlink:href"]);
+const SRCSET_ATTRIBUTES = new Set(["srcset", "data-srcset", "imagesrcset"]);
+const LINK_TAGS = new Set(["a", "area"]);
+// Elements whose contents are raw text rather than markup
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript", "plaintext"]);
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, (whole, name) => {
+    if (name[0] === "#") {
+      const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Split a srcset into [{ url, descriptor }]. URLs may contain commas
+ * (data: URLs); a candidate ends at the comma after its descriptor.
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  let i = 0;
+  while (i < srcset.length) {
+    while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+    if (i >= srcset.length) break;
+    let end = i;
+    while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+    let url = srcset.slice(i, end);
+    let descriptor = "";
+    i = end;
+    if (url.endsWith(",")) {
+      url = url.replace(/,+$/, "");
+    } else {
+      const comma = srcset.indexOf(",", i);
+      const stop = comma === -1 ? srcset.length : comma;
+      descriptor = srcset.slice(i, stop).trim();
+      i = stop + 1;
+    }
+    candidates.push({ url, descriptor });
+  }
+  return candidates;
+}
+
+function rewriteSrcset(srcset, rewrite, context) {
+  let changed = false;
+  const candidates = parseSrcset(srcset).map(({ url, descriptor }) => {
+    const next = rewrite(url, context);
+    if (next == null || next === url) return descriptor ? `${url} ${descriptor}` : url;
+    changed = true;
+    return descriptor ? `${next} ${descriptor}` : next;
+  });
+  return changed ? candidates.join(", ") : null;
+}
+
+// ── CSS ────────────────────────────────────────────────────────────────────
+
+/** Index just past the string starting at `start` (a quote character). */
+function cssStringEnd(css, start) {
+  const quote = css[start];
+  for (let i = start + 1; i < css.length; i++) {
+    if (css[i] === "\\") i++;
+    else if (css[i] === quote) return i + 1;
+    else if (css[i] === "\n") return i;
+  }
+  return css.length;
+}
+
+function unescapeCss(text) {
+  return text.replace(/\\([0-9a-f]{1,6})\s?|\\(.)/gi, (whole, hex, char) =>
+    hex ? String.fromCodePoint(parseInt(hex, 16) || 0xfffd) : char);
+}
+
+function quoteCss(value) {
+  return `"${value.replace(/["\\]/g, "\\$&").replace(/\n/g, "\\a ")}"`;
+}
+
+/**
+ * Rewrite the url() values and @import strings of a stylesheet. Strings
+ * elsewhere (content: "…"), comments and url-like text inside them are left
+ * alone. An @import "x" the callback returns a URL for (even the same one)
+ * comes out as @import url("y"), the form the rest of the crawler expects.
+ */
+function rewriteCssUrls(css, rewrite, context = {}) {
+  const ctx = { kind: "asset", tag: null, attr: null, ...context };
+  const token = /\/\*|["']|url\(|@import\b|[;{}]/gi;
+  let out = "";
+  let copied = 0;
+  let inImport = false;
+  const replace = (start, end, text) => {
+    out += css.slice(copied, start) + text;
+    copied = end;
+  };
+
+  let m;
+  while ((m = token.exec(css))) {
+    const start = m.index;
+    const text = m[0];
+    if (text === "/*") {
+      const end = css.indexOf("*/", start + 2);
+      token.lastIndex = end === -1 ? css.length : end + 2;
+    } else if (text === '"' || text === "'") {
+      const end = cssStringEnd(css, start);
+      token.lastIndex = end;
+      if (inImport) {
+        inImport = false;
+        const value = unescapeCss(css.slice(start + 1, end - 1));
+        const next = rewrite(value, ctx);
+        if (next != null) replace(start, end, `url(${quoteCss(next)})`);
+      }
+    } else if (text.toLowerCase() === "url(") {
+      // Part of a longer name, e.g. a custom function my-url(
+      if (/[\w-]/.test(css[start - 1] || "")) continue;
+      inImport = false;
+      let i = start + text.length;
+      while (/\s/.test(css[i] || "")) i++;
+      let value;
+      if (css[i] === '"' || css[i] === "'") {
+        const stringEnd = cssStringEnd(css, i);
+        value = unescapeCss(css.slice(i + 1, stringEnd - 1));
+        i = stringEnd;
+        while (/\s/.test(css[i] || "")) i++;
+        if (css[i] !== ")") continue;
+      } else {
+        const close = css.indexOf(")", i);
+        if (close === -1) continue;
+        value = unescapeCss(css.slice(i, close).trim());
+        i = close;
+      }
+      const end = i + 1;
+      token.lastIndex = end;
+      const next = rewrite(value, ctx);
+      if (next != null && next !== value) replace(start, end, `url(${quoteCss(next)})`);
+    } else if (text[0] === "@") {
+      inImport = true;
+    } else {
+      inImport = false;
+    }
+  }
+  return out + css.slice(copied);
+}
+
+// ── HTML ───────────────────────────────────────────────────────────────────
+
+const TAG_NAME = /<([a-zA-Z][^\s/>]*)/y;
+const ATTRIBUTE = /[\s/]*(?:([^\s"'>/=][^\s"'>/=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?)?/y;
+
+/** New value for one attribute, or null to keep it as it is. */
+function rewriteAttribute(tag, name, value, rewrite) {
+  const context = { kind: "asset", tag, attr: name };
+  if (URL_ATTRIBUTES.has(name)) {
+    if (name === "href" && LINK_TAGS.has(tag)) context.kind = "link";
+    const trimmed = value.trim();
+    const next = rewrite(trimmed, context);
+    return next == null || next === trimmed ? null : next;
+  }
+  if (SRCSET_ATTRIBUTES.has(name)) return rewriteSrcset(value, rewrite, context);
+  if (name === "style") {
+    const next = rewriteCssUrls(value, rewrite, context);
+    return next === value ? null : next;
+  }
+  return null;
+}
+
+/**
+ * Rewrite the URLs in an HTML fragment: href/src/poster/data-src/xlink:href,
+ * srcset lists, inline style url()s and <style> blocks.
+ */
+function rewriteHtmlUrls(html, rewrite) {
+  let out = "";
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt === -1) break;
+    out += html.slice(i, lt);
+    i = lt;
+
+    // Comments, doctypes, processing instructions and end tags pass through
+    if (html.startsWith("<!--", i)) {
+      const end = html.indexOf("-->", i + 4);
+      const stop = end === -1 ? html.length : end + 3;
+      out += html.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    TAG_NAME.lastIndex = i;
+    const nameMatch = TAG_NAME.exec(html);
+    if (!nameMatch) {
+      const end = /^<[!?/]/.test(html.slice(i, i + 2)) ? html.indexOf(">", i) : -1;
+      const stop = end === -1 ? i + 1 : end + 1;
+      out += html.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    const tag = nameMatch[1].toLowerCase();
+    let tagText = nameMatch[0];
+    let pos = TAG_NAME.lastIndex;
+    while (pos < html.length && html[pos] !== ">") {
+      ATTRIBUTE.lastIndex = pos;
+      const attr = ATTRIBUTE.exec(html);
+      if (!attr || ATTRIBUTE.lastIndex === pos) {
+        // Stray character (e.g. a lone quote): keep it and move on
+        tagText += html[pos];
+        pos++;
+        continue;
+      }
+      const raw = attr[0];
+      pos = ATTRIBUTE.lastIndex;
+      const [, name, doubleQuoted, singleQuoted, unquoted] = attr;
+      const rawValue = doubleQuoted ?? singleQuoted ?? unquoted;
+      if (name && rawValue !== undefined) {
+        const next = rewriteAttribute(tag, name.toLowerCase(), decodeEntities(rawValue), rewrite);
+        if (next !== null) {
+          const leading = raw.slice(0, raw.indexOf(name));
+          tagText += `${leading}${name}="${escapeAttribute(next)}"`;
+          continue;
+        }
+      }
+      tagText += raw;
+    }
+    out += tagText + (pos < html.length ? ">" : "");
+    i = pos + 1;
+
+    if (RAW_TEXT_TAGS.has(tag) && !tagText.endsWith("/")) {
+      const close = html.slice(i).search(new RegExp(`</${tag}[\\s>/]`, "i"));
+      const end = close === -1 ? html.length : i + close;
+      const content = html.slice(i, end);
+      out += tag === "style" ? rewriteCssUrls(content, rewrite, { tag: "style" }) : content;
+      i = end;
+    }
+  }
+  return out + html.slice(i);
+}
+
+module.exports = { rewriteHtmlUrls, rewriteCssUrls, parseSrcset, decodeEntities };
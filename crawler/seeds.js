@@ -0,0 +1,114 @@
+/**
+ * Route seeds — routes supplied up front instead of discovered.
+ *
+ * A seed source is a file path or an http(s) URL pointing at one of:
+ *   - a sitemap.xml, or a sitemap index (its child sitemaps are read too)
+ *   - a previous run's manifest.json
+ *   - a JSON list: ["#/colors", { "route": "/about", "label": "About us" }],
+ *     optionally wrapped as { "routes": [...] }
+ *   - a text list, one route per line with an optional label after it:
+ *       #/colors                        Colors
+ *       /about
+ *       https://site.com/docs/intro     Docs/Intro
+ *     Blank lines and lines starting with "#" plus whitespace are ignored.
+ *
+ * Every source yields [{ route, label }], where route is a URL or a route
+ * key (#/colors, /about) and label may be null. Resolving routes against the
+ * site URL is up to the crawler.
+ */
+
+const path = require("path");
+const { URL } = require("url");
+
+const MAX_SITEMAP_DEPTH = 3;
+
+function isRemote(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * Pull the <loc> entries out of a sitemap. A <sitemapindex> lists further
+ * sitemaps rather than pages, so its locations come back as `sitemaps`.
+ */
+function parseSitemap(xml) {
+  const locs = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)].map(m => decodeXml(m[1])).filter(Boolean);
+  return /<sitemapindex[\s>]/i.test(xml) ? { urls: [], sitemaps: locs } : { urls: locs, sitemaps: [] };
+}
+
+/** One JSON list item: "route", or { route | url | path, label }. */
+function jsonSeed(item) {
+  if (typeof item === "string") return { route: item, label: null };
+  if (!item || typeof item !== "object") return null;
+  const route = item.route || item.url || item.path;
+  if (typeof route !== "string" || !route) return null;
+  return { route, label: typeof item.label === "string" && item.label ? item.label : null };
+}
+
+/**
+ * Parse a JSON or plain-text route list. A previous manifest.json is
+ * { outputSize, routes } with entries that have `route` and `label`, so it is
+ * read as the { routes } form; manifests from before shared CSS were a bare
+ * list and read as one. Neither needs a special case.
+ */
+function parseRouteList(text, source) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`${source}: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : data && data.routes;
+    if (!Array.isArray(list)) throw new Error(`${source}: expected a list of routes or { "routes": [...] }`);
+    return list.map(jsonSeed).filter(Boolean);
+  }
+
+  const seeds = [];
+  for (const line of text.split(/\r?\n/)) {
+    const entry = line.trim();
+    if (!entry || /^#(\s|$)/.test(entry)) continue;
+    const [route, ...label] = entry.split(/\s+/);
+    seeds.push({ route, label: label.join(" ") || null });
+  }
+  return seeds;
+}
+
+/**
+ * Read one seed source. `readText(source)` returns the text of a local path
+ * or remote URL; child sitemaps of an index are read through it as well.
+ */
+async function loadSeeds(source, readText, depth = 0, seen = new Set()) {
+  if (seen.has(source)) return [];
+  seen.add(source);
+
+  const text = await readText(source);
+  if (!/^\s*(<\?xml|<urlset|<sitemapindex)/i.test(text)) return parseRouteList(text, source);
+
+  const { urls, sitemaps } = parseSitemap(text);
+  const seeds = urls.map(url => ({ route: url, label: null }));
+  if (depth < MAX_SITEMAP_DEPTH) {
+    for (const child of sitemaps) {
+      const childSource = isRemote(child) ? child
+        : isRemote(source) ? new URL(child, source).href
+        : path.resolve(path.dirname(source), child);
+      seeds.push(...await loadSeeds(childSource, readText, depth + 1, seen));
+    }
+  }
+  return seeds;
+}
+
+module.exports = { loadSeeds, isRemote };
+// Internals the unit tests in test/ reach into; not part of the API
+module.exports.internals = { parseRouteList, parseSitemap, MAX_SITEMAP_DEPTH };
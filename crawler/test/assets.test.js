@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const path = require("path");
+const { internals } = require("../crawl");
+const { withCrawler } = require("./helpers");
+const { downloadAsset } = internals;
+
+/** A stand-in for Playwright's APIRequestContext serving `files` (URL → [type, body]). */
+function fakeRequestContext(files) {
+  return {
+    async get(url) {
+      const file = files[url];
+      await new Promise(resolve => setImmediate(resolve));
+      return {
+        ok: () => !!file,
+        status: () => (file ? 200 : 404),
+        headers: () => (file ? { "content-type": file[0] } : {}),
+        body: async () => Buffer.from(file[1]),
+        dispose: async () => {},
+      };
+    },
+  };
+}
+
+// Fails the test instead of hanging the run when downloads wait on each other
+function withinTimeout(promise, ms = 5000) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`still waiting after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const A = "https://site.test/a.css";
+const B = "https://site.test/b.css";
+const mutualImports = {
+  [A]: ["text/css", `@import url("b.css");\n.a { color: red; }`],
+  [B]: ["text/css", `@import "a.css";\n.b { color: blue; }`],
+};
+
+test("two stylesheets importing each other both download", async () => {
+  await withCrawler({}, async (crawler, outputDir) => {
+    const localA = await withinTimeout(downloadAsset(crawler, A, fakeRequestContext(mutualImports)));
+    const localB = crawler.downloadedAssets.get(B);
+    assert.ok(localA && localB);
+
+    // b.css is local to a.css; b.css points back at a.css by its absolute URL
+    const cssA = await fs.readFile(path.join(outputDir, localA), "utf-8");
+    const cssB = await fs.readFile(path.join(outputDir, localB), "utf-8");
+    assert.match(cssA, new RegExp(`@import url\\("${path.basename(localB)}"\\)`));
+    assert.match(cssB, /@import url\("https:\/\/site\.test\/a\.css"\)/);
+  });
+});
+
+test("a cycle between two downloads started separately does not hang", async () => {
+  await withCrawler({}, async (crawler) => {
+    const context = fakeRequestContext(mutualImports);
+    const [localA, localB] = await withinTimeout(Promise.all([
+      downloadAsset(crawler, A, context),
+      downloadAsset(crawler, B, context),
+    ]));
+    assert.ok(localA && localB);
+    assert.equal(crawler.stylesheetWaits.size, 0);
+  });
+});
+
+test("a stylesheet importing itself keeps its absolute URL", async () => {
+  await withCrawler({}, async (crawler, outputDir) => {
+    const context = fakeRequestContext({ [A]: ["text/css", `@import url("a.css");`] });
+    const localA = await withinTimeout(downloadAsset(crawler, A, context));
+    assert.match(await fs.readFile(path.join(outputDir, localA), "utf-8"), /@import url\("https:\/\/site\.test\/a\.css"\)/);
+  });
+});
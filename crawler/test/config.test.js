@@ -0,0 +1,254 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { SCHEMA, ConfigError, loadConfig, internals } = require("../config");
+const { coerce, globToRegExp, splitPatterns } = internals;
+
+const URL_ = "https://site.test/";
+
+async function withConfigFile(settings, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "crawler-config-"));
+  try {
+    const file = path.join(dir, "crawl.config.json");
+    await fs.writeJson(file, settings);
+    await fn(file, dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof ConfigError, `expected a ConfigError, got ${err}`);
+    return err.problems;
+  }
+  assert.fail("expected a ConfigError");
+}
+
+// ── Precedence ─────────────────────────────────────────────────────────────
+
+test("options beat CLI flags, which beat env, which beats the file, which beats the default", async () => {
+  await withConfigFile({ url: URL_, maxPages: 10, pageTimeout: 2000, settleQuiet: 300, concurrency: 5 }, (file) => {
+    const env = { MAX_PAGES: "20", PAGE_TIMEOUT: "3000", SETTLE_QUIET: "400" };
+    const argv = ["--config", file, "--max-pages", "30", "--page-timeout=4000"];
+    const config = loadConfig({ argv, env, options: { maxPages: 40 }, autoConfigFile: false });
+    assert.equal(config.maxPages, 40);          // options
+    assert.equal(config.pageTimeout, 4000);     // CLI
+    assert.equal(config.settleQuiet, 400);      // env
+    assert.equal(config.concurrency, 5);        // file
+    assert.equal(config.assetRetries, SCHEMA.assetRetries.default);
+    assert.equal(config.configFile, file);
+  });
+});
+
+test("an empty env var does not override the file", async () => {
+  await withConfigFile({ url: URL_, maxPages: 10 }, (file) => {
+    assert.equal(loadConfig({ argv: ["-c", file], env: { MAX_PAGES: "" } }).maxPages, 10);
+  });
+});
+
+test("--no-flag turns a boolean off over env and file, but not over options", async () => {
+  await withConfigFile({ url: URL_, markdown: true }, (file) => {
+    const argv = ["--config", file, "--no-markdown"];
+    assert.equal(loadConfig({ argv, env: { MARKDOWN: "true" } }).markdown, false);
+    assert.equal(loadConfig({ argv, options: { markdown: true } }).markdown, true);
+  });
+});
+
+test("options.config names the file under the options; the directory's file is found on its own", async () => {
+  await withConfigFile({ url: URL_, maxPages: 10 }, (file, dir) => {
+    assert.equal(loadConfig({ options: { config: file, concurrency: 2 } }).maxPages, 10);
+    assert.equal(loadConfig({ cwd: dir }).maxPages, 10);
+    assert.equal(loadConfig({ cwd: dir, autoConfigFile: false, options: { url: URL_ } }).configFile, null);
+  });
+});
+
+test("file problems name the file; unknown settings and a missing url are reported together", async () => {
+  await withConfigFile({ maxPages: 0, colour: "red" }, (file) => {
+    const problems = problemsOf(() => loadConfig({ argv: ["--config", file], options: { shade: 1 } }));
+    assert.deepEqual(problems, [
+      `${file}: unknown setting "colour"`,
+      `options: unknown setting "shade"`,
+      "url is required (--url or SITE_URL)",
+      `${file}: maxPages: must be at least 1 (got 0)`,
+    ]);
+  });
+  assert.deepEqual(problemsOf(() => loadConfig({ argv: ["--config", "/no/such/file.json"] })),
+    ["config file not found: /no/such/file.json"]);
+  assert.match(problemsOf(() => loadConfig({ argv: ["--bogus"] }))[0], /--bogus.*\(see --help\)/);
+});
+
+test("each source is named in its problem", () => {
+  const problems = problemsOf(() => loadConfig({
+    argv: ["--url", URL_, "--max-pages", "x"],
+    env: { PAGE_TIMEOUT: "1" },
+    options: { concurrency: 99 },
+  }));
+  assert.deepEqual(problems, [
+    `--max-pages: "x" is not a whole number`,
+    "PAGE_TIMEOUT: must be at least 1000 (got 1)",
+    "options.concurrency: must be at most 16 (got 99)",
+  ]);
+});
+
+test("--help returns early without validating", () => {
+  assert.deepEqual(loadConfig({ argv: ["-h"] }), { help: true });
+});
+
+// ── Coercion ───────────────────────────────────────────────────────────────
+
+test("string", () => {
+  assert.deepEqual(coerce({ type: "string" }, "out"), { value: "out" });
+  assert.ok(coerce({ type: "string" }, "  ").error);
+  assert.ok(coerce({ type: "string" }, 5).error);
+});
+
+test("url", () => {
+  assert.deepEqual(coerce({ type: "url" }, URL_), { value: URL_ });
+  assert.match(coerce({ type: "url" }, "not a url").error, /not a valid URL/);
+  assert.match(coerce({ type: "url" }, "ftp://site.test/").error, /http\(s\)/);
+  assert.ok(coerce({ type: "url" }, 1).error);
+});
+
+test("integer", () => {
+  const spec = { type: "integer", min: 1, max: 10 };
+  assert.deepEqual(coerce(spec, " 7 "), { value: 7 });
+  assert.deepEqual(coerce(spec, 3), { value: 3 });
+  assert.match(coerce(spec, "1.5").error, /whole number/);
+  assert.match(coerce(spec, 1.5).error, /whole number/);
+  assert.match(coerce(spec, "0").error, /at least 1/);
+  assert.match(coerce(spec, 11).error, /at most 10/);
+  assert.deepEqual(coerce({ type: "integer" }, "-3"), { value: -3 });
+});
+
+test("number", () => {
+  const spec = { type: "number", min: 0, max: 1 };
+  assert.deepEqual(coerce(spec, "0.5"), { value: 0.5 });
+  assert.deepEqual(coerce(spec, ".25"), { value: 0.25 });
+  assert.deepEqual(coerce(spec, 1), { value: 1 });
+  assert.match(coerce(spec, "1e-1").error, /not a number/);
+  assert.match(coerce(spec, NaN).error, /not a number/);
+  assert.match(coerce(spec, "1.5").error, /at most 1/);
+  assert.match(coerce(spec, -0.1).error, /at least 0/);
+});
+
+test("boolean", () => {
+  for (const raw of [true, "true", "1", "YES", " on "]) assert.deepEqual(coerce({ type: "boolean" }, raw), { value: true });
+  for (const raw of [false, "false", "0", "no", "Off"]) assert.deepEqual(coerce({ type: "boolean" }, raw), { value: false });
+  assert.match(coerce({ type: "boolean" }, "maybe").error, /not a boolean/);
+});
+
+test("choice", () => {
+  const spec = { type: "choice", choices: ["tabs", "expand", "off"] };
+  assert.deepEqual(coerce(spec, " Expand "), { value: "expand" });
+  assert.match(coerce(spec, "all").error, /must be one of tabs, expand, off/);
+  assert.ok(coerce(spec, 1).error);
+});
+
+test("stringList", () => {
+  assert.deepEqual(coerce({ type: "stringList" }, "tab, variant,,"), { value: ["tab", "variant"] });
+  assert.deepEqual(coerce({ type: "stringList" }, [" a ", ""]), { value: ["a"] });
+  assert.ok(coerce({ type: "stringList" }, ["a", 1]).error);
+  assert.ok(coerce({ type: "stringList" }, 1).error);
+});
+
+test("regexList", () => {
+  const { value } = coerce({ type: "regexList" }, "/^copy$/, Search,");
+  assert.deepEqual(value.map(String), ["/^copy$/", "/Search/i"]);
+  const regex = /x/i;
+  assert.equal(coerce({ type: "regexList" }, [regex]).value[0], regex);
+  assert.match(coerce({ type: "regexList" }, ["/(/"]).error, /invalid regular expression "\/\(\/"/);
+  assert.ok(coerce({ type: "regexList" }, [1]).error);
+});
+
+test("patternList", () => {
+  const { value } = coerce({ type: "patternList" }, "#/ai/**, /^#\\/x$/i");
+  assert.deepEqual(value.map(p => p.pattern), ["#/ai/**", "/^#\\/x$/i"]);
+  assert.ok(value[0].regex.test("#/ai"));
+  assert.ok(value[1].regex.test("#/X"));
+  assert.ok(coerce({ type: "patternList", ignoreCase: true }, ["*delete*"]).value[0].regex.test("Trash DELETE row"));
+  assert.ok(!coerce({ type: "patternList" }, ["*delete*"]).value[0].regex.test("DELETE"));
+  assert.match(coerce({ type: "patternList" }, ["/[/"]).error, /invalid pattern "\/\[\/"/);
+  assert.ok(coerce({ type: "patternList" }, [null]).error);
+});
+
+test("commas inside a /regex/ or a glob's {a,b} do not split a list from env or CLI", () => {
+  assert.deepEqual(splitPatterns("/^a{1,3}$/"), ["/^a{1,3}$/"]);
+  assert.deepEqual(splitPatterns("#/{components,patterns}/**,/^#\\/x,y$/i, *delete*"),
+    ["#/{components,patterns}/**", "/^#\\/x,y$/i", " *delete*"]);
+  assert.deepEqual(splitPatterns("/docs/*,/about"), ["/docs/*", "/about"]);
+
+  const routes = coerce({ type: "patternList" }, "/^a{1,3}$/,#/{components,patterns}/**").value;
+  assert.deepEqual(routes.map(p => p.pattern), ["/^a{1,3}$/", "#/{components,patterns}/**"]);
+  assert.ok(routes[0].regex.test("aaa"));
+  assert.ok(routes[1].regex.test("#/patterns/cards"));
+  assert.ok(!routes[1].regex.test("#/tokens"));
+
+  const labels = coerce({ type: "regexList" }, "^x{2,}$,/a,b/").value;
+  assert.deepEqual(labels.map(String), ["/^x{2,}$/i", "/a,b/"]);
+});
+
+test("the g and y flags are rejected, since .test() with them depends on the last call", () => {
+  assert.match(coerce({ type: "patternList" }, "/delete/gi").error, /"\/delete\/gi": the g and y flags/);
+  assert.match(coerce({ type: "patternList" }, [/delete/y]).error, /g and y flags/);
+  assert.match(coerce({ type: "regexList" }, [/delete/g]).error, /g and y flags/);
+  assert.deepEqual(coerce({ type: "regexList" }, "/delete/i").value.map(String), ["/delete/i"]);
+});
+
+test("viewport", () => {
+  assert.deepEqual(coerce({ type: "viewport" }, " 1440 X 900 "), { value: { width: 1440, height: 900 } });
+  assert.deepEqual(coerce({ type: "viewport" }, { width: 800, height: 600, scale: 2 }), { value: { width: 800, height: 600 } });
+  assert.match(coerce({ type: "viewport" }, "1440").error, /like 1280x720/);
+  assert.ok(coerce({ type: "viewport" }, { width: 0, height: 600 }).error);
+  assert.ok(coerce({ type: "viewport" }, { width: 1.5, height: 600 }).error);
+});
+
+test("an unknown type is an error, not a pass-through", () => {
+  assert.match(coerce({ type: "date" }, "x").error, /unknown setting type "date"/);
+});
+
+// ── Globs ──────────────────────────────────────────────────────────────────
+
+test("globs are anchored at both ends", () => {
+  const regex = globToRegExp("#/components");
+  assert.ok(regex.test("#/components"));
+  assert.ok(!regex.test("#/components/button"));
+  assert.ok(!regex.test("x#/components"));
+});
+
+test("* stays in a segment, ** crosses them, ? is one character", () => {
+  assert.ok(globToRegExp("#/*/button").test("#/components/button"));
+  assert.ok(!globToRegExp("#/*/button").test("#/a/b/button"));
+  assert.ok(globToRegExp("#/**/button").test("#/a/b/button"));
+  assert.ok(globToRegExp("/v?").test("/v2"));
+  assert.ok(!globToRegExp("/v?").test("/v/"));
+  assert.ok(!globToRegExp("/v?").test("/v22"));
+});
+
+test("a trailing /** also matches the parent, but not a longer sibling", () => {
+  const regex = globToRegExp("#/components/**");
+  assert.ok(regex.test("#/components"));
+  assert.ok(regex.test("#/components/button/usage"));
+  assert.ok(!regex.test("#/components-old"));
+});
+
+test("{a,b} matches either, and an unclosed { is literal", () => {
+  const regex = globToRegExp("#/{components,patterns}/*");
+  assert.ok(regex.test("#/components/button"));
+  assert.ok(regex.test("#/patterns/cards"));
+  assert.ok(!regex.test("#/tokens/color"));
+  assert.ok(globToRegExp("/a{b").test("/a{b"));
+  assert.ok(globToRegExp("/a}b").test("/a}b"));
+});
+
+test("regex characters in a glob are matched literally", () => {
+  assert.ok(globToRegExp("/a.b").test("/a.b"));
+  assert.ok(!globToRegExp("/a.b").test("/aXb"));
+  const literal = "/x+(y)|[z]^$\\";
+  assert.ok(globToRegExp(literal).test(literal));
+  assert.ok(globToRegExp("/search?q=*").test("/search?q=1"));
+});
@@ -0,0 +1,19 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { createCrawler } = require("../crawl");
+
+/**
+ * Run fn(crawler, outputDir) with a crawler for https://site.test/ writing to
+ * a fresh temporary directory, removed afterwards. `options` go to createCrawler.
+ */
+async function withCrawler(options, fn) {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "crawler-test-"));
+  try {
+    await fn(createCrawler({ url: "https://site.test/", outputDir, ...options }), outputDir);
+  } finally {
+    await fs.remove(outputDir);
+  }
+}
+
+module.exports = { withCrawler };
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rewriteHtmlUrls, rewriteCssUrls, parseSrcset, decodeEntities } = require("../markup");
+
+/** A rewrite callback mapping exact URLs, recording every call. */
+function mapping(map) {
+  const calls = [];
+  const rewrite = (url, context) => {
+    calls.push({ url, ...context });
+    return map[url];
+  };
+  return { rewrite, calls };
+}
+
+test("decodeEntities handles named, decimal and hex references", () => {
+  assert.equal(decodeEntities("a&amp;b &lt;&gt; &quot;&#39;&#x41;"), `a&b <> "'A`);
+  assert.equal(decodeEntities("&unknown; &#0;"), "&unknown; &#0;");
+});
+
+test("attribute values are matched with entities decoded and written back escaped", () => {
+  const { rewrite, calls } = mapping({ "/x?a=1&b=2": "./x.html?q=\"1\"&r" });
+  const html = `<a href="/x?a=1&amp;b=2">x</a>`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), `<a href="./x.html?q=&quot;1&quot;&amp;r">x</a>`);
+  assert.deepEqual(calls.map(c => [c.url, c.kind, c.tag, c.attr]), [["/x?a=1&b=2", "link", "a", "href"]]);
+});
+
+test("only URL attributes are touched; text and other attributes keep their spelling", () => {
+  const { rewrite } = mapping({ "a.png": "./assets/a.png" });
+  const html = `<img alt="a.png" src=a.png title='a.png'>see a.png`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), `<img alt="a.png" src="./assets/a.png" title='a.png'>see a.png`);
+});
+
+test("link and asset hrefs are told apart", () => {
+  const { rewrite, calls } = mapping({});
+  rewriteHtmlUrls(`<a href="/p"></a><area href="/q"><link rel="stylesheet" href="/s.css">`, rewrite);
+  assert.deepEqual(calls.map(c => [c.tag, c.kind]), [["a", "link"], ["area", "link"], ["link", "asset"]]);
+});
+
+test("a quoted > inside an attribute does not end the tag", () => {
+  const { rewrite } = mapping({ "b.png": "./b.png" });
+  const html = `<img data-note="1 > 0" src="b.png"><p title='x>y'>t</p>`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), `<img data-note="1 > 0" src="./b.png"><p title='x>y'>t</p>`);
+});
+
+test("a stray quote in a tag is kept and the rest of the tag still parsed", () => {
+  const { rewrite } = mapping({ "c.png": "./c.png" });
+  assert.equal(rewriteHtmlUrls(`<img " src="c.png">`, rewrite), `<img " src="./c.png">`);
+});
+
+test("srcset candidates are rewritten one by one, data: URLs with commas included", () => {
+  assert.deepEqual(parseSrcset("data:image/png;base64,AA,BB 1x, c.png 2x,d.png"), [
+    { url: "data:image/png;base64,AA,BB", descriptor: "1x" },
+    { url: "c.png", descriptor: "2x" },
+    { url: "d.png", descriptor: "" },
+  ]);
+  const { rewrite } = mapping({ "c.png": "./c.png" });
+  const html = `<img srcset="data:image/png;base64,AA,BB 1x, c.png 2x">`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), `<img srcset="data:image/png;base64,AA,BB 1x, ./c.png 2x">`);
+  // Nothing rewritten, nothing reformatted
+  assert.equal(rewriteHtmlUrls(`<img srcset="x.png   1x,y.png 2x">`, rewrite), `<img srcset="x.png   1x,y.png 2x">`);
+});
+
+test("inline style and <style> url()s are rewritten; <script> bodies are not", () => {
+  const { rewrite, calls } = mapping({ "bg.png": "./bg.png" });
+  const html = [
+    `<div style="background: url(&quot;bg.png&quot;)"></div>`,
+    `<style>.a { background: url(bg.png) } .b:after { content: "</p><img src=bg.png>" }</style>`,
+    `<script>const s = '<img src="bg.png">'; // url(bg.png)</script>`,
+  ].join("");
+  assert.equal(rewriteHtmlUrls(html, rewrite), [
+    `<div style="background: url(&quot;./bg.png&quot;)"></div>`,
+    `<style>.a { background: url("./bg.png") } .b:after { content: "</p><img src=bg.png>" }</style>`,
+    `<script>const s = '<img src="bg.png">'; // url(bg.png)</script>`,
+  ].join(""));
+  assert.deepEqual(calls.map(c => c.tag), ["div", "style"]);
+});
+
+test("raw text ends at its own end tag only, like in a browser", () => {
+  const { rewrite } = mapping({ "e.png": "./e.png" });
+  const html = `<textarea><img src="e.png"></textareax></textarea><img src="e.png">`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), `<textarea><img src="e.png"></textareax></textarea><img src="./e.png">`);
+});
+
+test("comments pass through, even unterminated ones", () => {
+  const { rewrite } = mapping({ "f.png": "./f.png" });
+  assert.equal(rewriteHtmlUrls(`<!-- <img src="f.png"> --><img src="f.png">`, rewrite), `<!-- <img src="f.png"> --><img src="./f.png">`);
+  assert.equal(rewriteHtmlUrls(`<img src="f.png"><!-- <img src="f.png">`, rewrite), `<img src="./f.png"><!-- <img src="f.png">`);
+});
+
+test("a lone < in text and end tags are copied as they are", () => {
+  const { rewrite } = mapping({});
+  const html = `<p>1 < 2 and <b>bold</b></p><!DOCTYPE html>`;
+  assert.equal(rewriteHtmlUrls(html, rewrite), html);
+});
+
+test("@import strings and url() are both rewritten; @import comes out as url()", () => {
+  const { rewrite } = mapping({ "a.css": "/abs/a.css", "b.css": "/abs/b.css", "f.woff2": "./f.woff2" });
+  const css = `@import "a.css";\n@import url('b.css') screen;\n@font-face { src: url(f.woff2) format("woff2") }`;
+  assert.equal(rewriteCssUrls(css, rewrite),
+    `@import url("/abs/a.css");\n@import url("/abs/b.css") screen;\n@font-face { src: url("./f.woff2") format("woff2") }`);
+});
+
+test("url( inside comments, strings and longer function names is left alone", () => {
+  const { rewrite, calls } = mapping({ "g.png": "./g.png" });
+  const css = `/* url(g.png) */ .a { content: "url(g.png)"; background: my-url(g.png), url( 'g.png' ) }`;
+  assert.equal(rewriteCssUrls(css, rewrite), `/* url(g.png) */ .a { content: "url(g.png)"; background: my-url(g.png), url("./g.png") }`);
+  assert.equal(calls.length, 1);
+});
+
+test("an unterminated comment or url( ends the scan without touching the rest", () => {
+  const { rewrite } = mapping({ "h.png": "./h.png" });
+  assert.equal(rewriteCssUrls(`.a { background: url(h.png) } /* url(h.png)`, rewrite), `.a { background: url("./h.png") } /* url(h.png)`);
+  assert.equal(rewriteCssUrls(`.a { background: url(h.png`, rewrite), `.a { background: url(h.png`);
+});
+
+test("CSS escapes in url values are decoded before matching and escaped on output", () => {
+  const { rewrite, calls } = mapping({ 'a b".png': 'x "y".png' });
+  assert.equal(rewriteCssUrls(`.a { background: url("a\\20 b\\".png") }`, rewrite), `.a { background: url("x \\"y\\".png") }`);
+  assert.equal(calls[0].url, 'a b".png');
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const path = require("path");
+const { internals } = require("../crawl");
+const { withCrawler } = require("./helpers");
+const { writeSite, readPreviousMarkdown } = internals;
+
+function addRoute(crawler, key, cssBlocks) {
+  crawler.capturedRoutes.set(key, {
+    key, url: new URL(key, "https://site.test/").href, title: key, html: `<h1>${key}</h1>`,
+    cssBlocks: cssBlocks.map(css => ({ href: null, css })),
+  });
+}
+
+test("outputSize.before is the pages plus the shared CSS each of them links", async () => {
+  await withCrawler({}, async (crawler, outputDir) => {
+    addRoute(crawler, "/", [".shared { color: red }", ".home { margin: 0 }"]);
+    addRoute(crawler, "#/colors", [".shared { color: red }", ".colors { padding: 0 }"]);
+    const { outputSize } = await writeSite(crawler);
+
+    const size = async (file) => (await fs.stat(path.join(outputDir, file))).size;
+    const pages = (await size("index.html")) + (await size("colors.html"));
+    const cssFiles = await fs.readdir(path.join(outputDir, "assets", "css"));
+    let css = 0;
+    for (const file of cssFiles) css += await size(path.join("assets", "css", file));
+
+    assert.equal(outputSize.sharedCssFiles, cssFiles.length);
+    assert.equal(outputSize.sharedCssBytes, css);
+    assert.equal(outputSize.after, pages + css);
+    // Both pages link every shared file
+    assert.equal(outputSize.before, pages + 2 * css);
+  });
+});
+
+test("without sharedCss, before and after are the same", async () => {
+  await withCrawler({ sharedCss: false }, async (crawler) => {
+    addRoute(crawler, "/", [".home { margin: 0 }"]);
+    const { outputSize } = await writeSite(crawler);
+    assert.equal(outputSize.before, outputSize.after);
+    assert.equal(outputSize.sharedCssFiles, 0);
+  });
+});
+
+test("a hash route and a pathname route sharing a filename are warned about, not dropped silently", async () => {
+  await withCrawler({}, async (crawler, outputDir) => {
+    addRoute(crawler, "#/about", [".a { margin: 0 }"]);
+    addRoute(crawler, "/about", [".a { margin: 0 }"]);
+    addRoute(crawler, "#/about?tab=a", []);
+    addRoute(crawler, "/about?tab=a", []);
+    const { routes } = await writeSite(crawler);
+    assert.deepEqual(routes.map(r => r.route), ["#/about", "#/about?tab=a", "/about?tab=a"]);
+    assert.ok(crawler.warnings.some(w => w.includes("/about and #/about both map to about.html")));
+    assert.equal((await fs.readdir(outputDir)).filter(f => f.startsWith("about--tab-a-")).length, 2);
+  });
+});
+
+test("a replay reads every page's Markdown back from the .md files or llms-full.txt", async () => {
+  const markdown = { "/": "# Home\n\nHello\n\n---\n\nAfter a rule\n", "#/colors": "## Colors\n\nRed\n" };
+  for (const withFiles of [true, false]) {
+    await withCrawler({ markdown: withFiles }, async (crawler, outputDir) => {
+      for (const [key, text] of Object.entries(markdown)) {
+        addRoute(crawler, key, []);
+        crawler.capturedRoutes.get(key).markdown = text;
+      }
+      const { routes } = await writeSite(crawler);
+      assert.equal((await fs.readdir(outputDir)).some(f => f.endsWith(".md")), withFiles);
+      assert.deepEqual(Object.fromEntries(await readPreviousMarkdown(crawler, routes)), markdown);
+    });
+  }
+});
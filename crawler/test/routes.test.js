@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCrawler, internals } = require("../crawl");
+const { routeKey, routeToFilename } = internals;
+
+const crawler = createCrawler({ url: "https://site.test/", queryParams: ["tab"] });
+const key = (url) => routeKey(crawler, new URL(url, "https://site.test/").href);
+
+test("a bare #/ is the landing page", () => {
+  assert.equal(key("/"), "/");
+  assert.equal(key("/#/"), "/");
+  assert.equal(key("/#"), "/");
+  assert.equal(key("/#/?other=1"), "/");
+});
+
+test("hash-root routes with a query stay apart from pathname routes", () => {
+  assert.equal(key("/#/?tab=2"), "#/?tab=2");
+  assert.equal(key("/?tab=2"), "/?tab=2");
+  assert.notEqual(routeToFilename("#/?tab=2"), routeToFilename("/?tab=2"));
+  assert.match(routeToFilename("#/?tab=2"), /^index--tab-2-[0-9a-f]{6}\.html$/);
+  assert.notEqual(routeToFilename("#/x?tab=a"), routeToFilename("/x?tab=a"));
+  assert.match(routeToFilename("#/x?tab=a"), /^x--tab-a-[0-9a-f]{6}\.html$/);
+});
+
+test("hash routes keep their own allow-listed query, sorted", () => {
+  assert.equal(key("/#/button?variant=primary&tab=b&tab=a"), "#/button?tab=a&tab=b");
+  assert.equal(key("/docs/?tab=1&utm_source=x"), "/docs?tab=1");
+});
+
+test("route keys map to filenames", () => {
+  assert.equal(routeToFilename("/"), "index.html");
+  assert.equal(routeToFilename("#/colors"), "colors.html");
+  assert.equal(routeToFilename("/docs/intro"), "docs/intro.html");
+  assert.match(routeToFilename("/components?tab=usage"), /^components--tab-usage-[0-9a-f]{6}\.html$/);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { loadSeeds, internals } = require("../seeds");
+const { parseRouteList, parseSitemap, MAX_SITEMAP_DEPTH } = internals;
+
+/** readText over an in-memory map of sources, recording what was read. */
+function reader(files) {
+  const read = [];
+  const readText = async (source) => {
+    read.push(source);
+    if (!(source in files)) throw new Error(`not found: ${source}`);
+    return files[source];
+  };
+  return { readText, read };
+}
+
+const urlset = (...locs) =>
+  `<?xml version="1.0"?>\n<urlset>${locs.map(loc => `<url><loc>${loc}</loc></url>`).join("")}</urlset>`;
+const sitemapIndex = (...locs) =>
+  `<?xml version="1.0"?>\n<sitemapindex>${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join("")}</sitemapindex>`;
+
+test("a sitemap's <loc>s are decoded, CDATA and entities included", () => {
+  const xml = urlset("https://site.test/a?x=1&amp;y=2", "<![CDATA[https://site.test/b]]>", " ");
+  assert.deepEqual(parseSitemap(xml), { urls: ["https://site.test/a?x=1&y=2", "https://site.test/b"], sitemaps: [] });
+  assert.deepEqual(parseSitemap(sitemapIndex("https://site.test/s1.xml")), { urls: [], sitemaps: ["https://site.test/s1.xml"] });
+});
+
+test("a sitemap index is followed, relative child paths against the index", async () => {
+  const { readText } = reader({
+    "https://site.test/sitemap.xml": sitemapIndex("https://site.test/pages.xml", "docs.xml"),
+    "https://site.test/pages.xml": urlset("https://site.test/about"),
+    "https://site.test/docs.xml": urlset("https://site.test/docs/intro"),
+  });
+  assert.deepEqual(await loadSeeds("https://site.test/sitemap.xml", readText), [
+    { route: "https://site.test/about", label: null },
+    { route: "https://site.test/docs/intro", label: null },
+  ]);
+
+  const local = reader({
+    [path.resolve("/out/sitemap.xml")]: sitemapIndex("sub/pages.xml"),
+    [path.resolve("/out/sub/pages.xml")]: urlset("https://site.test/x"),
+  });
+  assert.deepEqual(await loadSeeds(path.resolve("/out/sitemap.xml"), local.readText), [{ route: "https://site.test/x", label: null }]);
+});
+
+test(`nested sitemap indexes stop after ${MAX_SITEMAP_DEPTH} levels`, async () => {
+  const files = {};
+  for (let depth = 0; depth <= MAX_SITEMAP_DEPTH; depth++) {
+    files[`https://site.test/s${depth}.xml`] = sitemapIndex(`https://site.test/s${depth + 1}.xml`);
+  }
+  files[`https://site.test/s${MAX_SITEMAP_DEPTH + 1}.xml`] = urlset("https://site.test/too-deep");
+  const { readText, read } = reader(files);
+  assert.deepEqual(await loadSeeds("https://site.test/s0.xml", readText), []);
+  assert.equal(read.length, MAX_SITEMAP_DEPTH + 1);
+  assert.ok(!read.includes(`https://site.test/s${MAX_SITEMAP_DEPTH + 1}.xml`));
+});
+
+test("sitemaps listing each other are read once", async () => {
+  const { readText, read } = reader({
+    "https://site.test/a.xml": sitemapIndex("https://site.test/b.xml", "https://site.test/a.xml"),
+    "https://site.test/b.xml": sitemapIndex("https://site.test/a.xml", "https://site.test/c.xml"),
+    "https://site.test/c.xml": urlset("https://site.test/page"),
+  });
+  assert.deepEqual(await loadSeeds("https://site.test/a.xml", readText), [{ route: "https://site.test/page", label: null }]);
+  assert.deepEqual(read, ["https://site.test/a.xml", "https://site.test/b.xml", "https://site.test/c.xml"]);
+});
+
+test("a JSON list takes strings and { route | url | path, label } objects", () => {
+  const text = JSON.stringify(["#/colors", { route: "/about", label: "About" }, { url: "https://site.test/x", label: "" },
+    { path: "/p" }, { label: "no route" }, 5, null]);
+  assert.deepEqual(parseRouteList(text, "list.json"), [
+    { route: "#/colors", label: null },
+    { route: "/about", label: "About" },
+    { route: "https://site.test/x", label: null },
+    { route: "/p", label: null },
+  ]);
+});
+
+test("{ routes } is read like a list, so current and older manifests both work", () => {
+  const entries = [{ route: "#/colors", label: "Colors", url: "https://site.test/#/colors" }];
+  const expected = [{ route: "#/colors", label: "Colors" }];
+  assert.deepEqual(parseRouteList(JSON.stringify({ outputSize: {}, routes: entries }), "manifest.json"), expected);
+  assert.deepEqual(parseRouteList(JSON.stringify(entries), "manifest.json"), expected);
+});
+
+test("bad JSON and JSON without routes name the source", () => {
+  assert.throws(() => parseRouteList("[oops", "list.json"), /^Error: list\.json: /);
+  assert.throws(() => parseRouteList(`{ "pages": [] }`, "list.json"), /list\.json: expected a list of routes/);
+});
+
+test("a text list has one route per line with an optional label; #-space lines are comments", () => {
+  const text = [
+    "# routes",
+    "#\tcomment after a tab",
+    "#",
+    "",
+    "  #/colors        Colors  ",
+    "#/components/button\tComponents/Button",
+    "/about",
+    "#/ai Ask   the  AI",
+  ].join("\r\n");
+  assert.deepEqual(parseRouteList(text, "routes.txt"), [
+    { route: "#/colors", label: "Colors" },
+    { route: "#/components/button", label: "Components/Button" },
+    { route: "/about", label: null },
+    { route: "#/ai", label: "Ask the AI" },
+  ]);
+});
+
+test("a text list is read through loadSeeds too", async () => {
+  const { readText } = reader({ "routes.txt": "#/colors Colors\n" });
+  assert.deepEqual(await loadSeeds("routes.txt", readText), [{ route: "#/colors", label: "Colors" }]);
+});